@@ -1,15 +1,31 @@
 import { defineConfig } from 'astro/config';
+import { fileURLToPath } from 'url';
 import react from '@astrojs/react';
 import mdx from '@astrojs/mdx';
+import routeManifest from './integrations/route-manifest.mjs';
+import { markdownOptions } from './src/lib/markdown-options.js';
+
+const PREVIEW_SHIKI = fileURLToPath(new URL('./src/lib/preview-shiki.js', import.meta.url));
+
+// The admin's preview runs Astro's markdown processor in the browser; give it
+// only the grammars the posts use (src/lib/preview-shiki.js)
+function previewShiki() {
+  return {
+    name: 'preview-shiki',
+    enforce: 'pre',
+    resolveId(id) {
+      if (id === 'shiki' && this.environment?.name === 'client') return PREVIEW_SHIKI;
+    },
+  };
+}
 
 export default defineConfig({
   site: 'https://remoun.me',
-  integrations: [react(), mdx()],
-
-  markdown: {
-    shikiConfig: {
-      theme: 'github-dark',
-      wrap: true
-    }
-  }
-});
\ No newline at end of file
+  integrations: [react(), mdx(), routeManifest()],
+
+  markdown: markdownOptions,
+
+  vite: {
+    plugins: [previewShiki()],
+  },
+});
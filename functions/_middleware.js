@@ -1,114 +1,347 @@
-async function getBlogSlugs(context, url) {
+import {
+  DOMAINS, ROUTES, NOT_FOUND, domainFor, robotsPath, sitemapPath, stripPrefix,
+} from '../src/lib/domains.js';
+import { CSP_REPORT_PATH, securityHeaders } from '../src/lib/security-headers.js';
+
+// Manifests are cached for the life of the isolate, so most requests make
+// no ASSETS subrequest at all. After MANIFEST_TTL_MS an entry is revalidated
+// by ETag, which changes with every build.
+const MANIFEST_TTL_MS = 60_000;
+const manifestCache = new Map();
+
+async function getManifest(context, url, manifest) {
+  const cached = manifestCache.get(manifest);
+  if (cached && Date.now() - cached.checkedAt < MANIFEST_TTL_MS) return cached.data;
+
   try {
     const response = await context.env.ASSETS.fetch(
-      new Request(new URL('/blog-slugs.json', url))
+      new Request(new URL(manifest, url), {
+        headers: cached?.etag ? { 'If-None-Match': cached.etag } : {},
+      })
     );
+    if (response.status === 304 && cached) {
+      cached.checkedAt = Date.now();
+      return cached.data;
+    }
     const contentType = response.headers.get('content-type') || '';
-    if (!contentType.includes('json')) return new Set();
-    return new Set(await response.json());
-  } catch {
-    return new Set();
+    if (!response.ok || !contentType.includes('json')) {
+      throw new Error(`got ${response.status} ${contentType || 'without a content type'}`);
+    }
+    const data = await response.json();
+    manifestCache.set(manifest, { data, etag: response.headers.get('etag'), checkedAt: Date.now() });
+    return data;
+  } catch (error) {
+    // A stale copy beats misrouting; with none, callers route conservatively
+    console.error(`Failed to load ${manifest}${cached ? ', using cached copy' : ''}:`, error);
+    return cached ? cached.data : null;
+  }
+}
+
+// Manifest keys a request path may match: "/foo", "/foo/" and
+// "/foo/index.html" all resolve to the same built page.
+function routeKeys(path) {
+  let p = path.replace(/\/index\.html$/, '/');
+  try {
+    p = decodeURIComponent(p);
+  } catch {}
+  return [p, p.endsWith('/') ? p.slice(0, -1) : `${p}/`];
+}
+
+// Whether the client asked for markdown over HTML,
+// e.g. `Accept: text/markdown` or `Accept: text/markdown, text/html;q=0.5`
+function prefersMarkdown(request) {
+  const quality = {};
+  for (const part of (request.headers.get('accept') || '').split(',')) {
+    const [type, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    quality[type] = q ? parseFloat(q.slice(2)) || 0 : 1;
+  }
+  const markdown = quality['text/markdown'] ?? 0;
+  return markdown > 0 && markdown >= (quality['text/html'] ?? 0);
+}
+
+// Deliberate caching: permanent redirects for a day, so routing changes still
+// propagate; temporary redirects (previews, short links) never; pages always
+// revalidate. Everything else keeps the asset server's headers.
+function cacheControl(response) {
+  if ([301, 308].includes(response.status)) return 'public, max-age=86400';
+  if ([302, 303, 307].includes(response.status)) return 'no-store';
+  const type = response.headers.get('content-type') || '';
+  if (type.startsWith('text/html') || type.startsWith('text/markdown')) {
+    return 'public, max-age=0, must-revalidate';
+  }
+  return null;
+}
+
+const HOST_PARAM = '__host';
+const HOST_COOKIE = 'preview_host';
+
+// Production domain to emulate on a host outside the routing table
+// (Pages previews, `wrangler pages dev`). ?__host=remoun.blog picks one and
+// a cookie keeps it for later requests; ?__host= clears it.
+function emulatedHost(request, url) {
+  const host = url.searchParams.has(HOST_PARAM)
+    ? url.searchParams.get(HOST_PARAM)
+    : request.headers.get('cookie')?.match(/(?:^|;\s*)preview_host=([^;]*)/)?.[1];
+  return host && domainFor(host) ? host : null;
+}
+
+// CSP violation reports, as browsers send them: report-uri's single report
+// or the Reporting API's batch. Real ones are a few hundred bytes each.
+const CSP_REPORT_TYPES = ['application/csp-report', 'application/reports+json'];
+const CSP_REPORT_MAX_BYTES = 16 * 1024;
+
+// Log a violation report for `wrangler pages deployment tail`. Anyone can
+// POST here, so the body is read only up to the cap, whatever its
+// Content-Length says.
+async function cspReport(request) {
+  const type = (request.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (!CSP_REPORT_TYPES.includes(type)) return new Response(null, { status: 415 });
+  if (Number(request.headers.get('content-length')) > CSP_REPORT_MAX_BYTES) {
+    return new Response(null, { status: 413 });
   }
+
+  const decoder = new TextDecoder();
+  let report = '';
+  let size = 0;
+  const reader = request.body?.getReader();
+  while (reader) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > CSP_REPORT_MAX_BYTES) {
+      await reader.cancel();
+      return new Response(null, { status: 413 });
+    }
+    report += decoder.decode(value, { stream: true });
+  }
+  report += decoder.decode();
+  console.warn('CSP violation:', report);
+  return new Response(null, { status: 204 });
 }
 
 export async function onRequest(context) {
+  const url = new URL(context.request.url);
+
+  if (url.pathname === CSP_REPORT_PATH && context.request.method === 'POST') {
+    return cspReport(context.request);
+  }
+
+  // Production hosts route as themselves; anything else is a preview
+  const preview = !domainFor(url.hostname);
+  const host = (preview && emulatedHost(context.request, url)) || url.hostname;
+
+  // Copy the response so its headers are mutable (Response.redirect's aren't)
+  const response = await route(context, host, preview);
+  const secured = new Response(response.body, response);
+  for (const [name, value] of Object.entries(securityHeaders(host, url.pathname, preview))) {
+    secured.headers.set(name, value);
+  }
+  const caching = cacheControl(secured);
+  if (caching) secured.headers.set('Cache-Control', caching);
+  const domain = domainFor(url.hostname);
+  if (!domain || domain.noindex) {
+    secured.headers.set('X-Robots-Tag', 'noindex');
+  }
+  if (preview && url.searchParams.has(HOST_PARAM)) {
+    const value = host === url.hostname ? '' : host;
+    const maxAge = value ? '' : '; Max-Age=0';
+    secured.headers.append('Set-Cookie', `${HOST_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Lax${maxAge}`);
+  }
+  return secured;
+}
+
+// Route a request as `host`. On previews, redirects stay on the preview
+// origin and carry the target domain in ?__host= instead.
+async function route(context, host, preview) {
   const { request, next } = context;
   const url = new URL(request.url);
-  const host = url.hostname;
   const path = url.pathname;
+  const domain = domainFor(host);
 
-  // Universal: /love → remoun.love (from any other domain)
-  if (host !== 'remoun.love') {
-    if (path === '/love' || path === '/love/') {
-      return Response.redirect('https://remoun.love/', 301);
-    }
-    if (path.startsWith('/love/')) {
-      return Response.redirect(`https://remoun.love/${path.slice(6)}`, 301);
-    }
+  // Redirect to a path on a domain. On previews the redirect stays on the
+  // preview origin, and is temporary so browsers don't cache emulated routing.
+  // `target` is set as the path rather than resolved against the origin, so
+  // one starting with // can't become another host.
+  function redirect(toHost, target) {
+    if (!preview) return Response.redirect(`https://${toHost}${target}`, 301);
+    const location = new URL(url.origin);
+    location.pathname = target;
+    location.searchParams.set(HOST_PARAM, toHost);
+    return Response.redirect(location.toString(), 302);
   }
 
-  // Load the build-time list of blog post slugs for routing decisions.
-  // Loaded lazily: only when the request is for a domain/path that needs it.
+  // Load the build-time manifests for routing decisions.
+  // Loaded lazily: only when the request is for a path that needs them.
   // ASSETS.fetch() always returns 200 (falls back to nearest index.html),
   // so we can't use status codes to detect whether a page exists.
-  let _blogSlugs;
-  async function isBlogSlug(s) {
-    if (!_blogSlugs) _blogSlugs = await getBlogSlugs(context, url);
-    return _blogSlugs.has(s);
+  const manifests = new Map();
+  async function loadManifest(manifest) {
+    if (!manifests.has(manifest)) {
+      manifests.set(manifest, await getManifest(context, url, manifest));
+    }
+    return manifests.get(manifest);
   }
-  const slug = path.slice(1).replace(/\/$/, ''); // "/foo/" → "foo"
+  // Set when a manifest can't be loaded, so we serve rather than redirect
+  // away a page we can't classify
+  let manifestMissing = false;
 
-  // 1. Handle remoun.blog
-  if (host === 'remoun.blog') {
-    // Canonicalize /blog/* to the root version
-    // e.g. remoun.blog/blog/my-post → remoun.blog/my-post
-    if (path.startsWith('/blog/')) {
-      return Response.redirect(`https://remoun.blog/${path.slice(6)}`, 301);
-    }
-    if (path === '/blog') {
-      return Response.redirect('https://remoun.blog/', 301);
-    }
+  // Canonical slug for a path segment, following renamed-post aliases
+  async function canonicalSlug(manifest, s) {
+    const slugs = await loadManifest(manifest);
+    if (!slugs) manifestMissing = true;
+    return slugs && Object.hasOwn(slugs, s) ? slugs[s] : null;
+  }
 
-    // Serve root as /blog/ index
-    if (path === '/') {
-      return context.env.ASSETS.fetch(new Request(new URL('/blog/', url), request));
-    }
+  // The domain's 404 page, with a real 404 status
+  async function notFound() {
+    const page = await context.env.ASSETS.fetch(
+      new Request(new URL(domain?.notFound || NOT_FOUND, url))
+    );
+    return new Response(page.body, { status: 404, headers: page.headers });
+  }
 
-    // Serve RSS feed (now at top-level /rss.xml)
-    if (path === '/rss.xml') {
+  // Serve from the build, or 404 if the build has no such path.
+  // Fails open if the route manifest is missing.
+  async function serve() {
+    const routes = await loadManifest(ROUTES);
+    if (!Array.isArray(routes) || routeKeys(path).some(r => routes.includes(r))) {
       return next();
     }
+    return notFound();
+  }
 
-    // Known blog post or tag → serve the top-level page directly
-    // Pages now live at /{slug}/ and /tag/{tag}/ instead of /blog/{slug}/
-    if (await isBlogSlug(slug)) {
-      return next();
-    }
+  // Build-time markdown copy of a published post. Drafts have none.
+  async function serveMarkdown(s) {
+    const file = `${domain.markdown}/${s}.md`;
+    const routes = await loadManifest(ROUTES);
+    if (Array.isArray(routes) && !routes.includes(file)) return notFound();
+    const source = await context.env.ASSETS.fetch(new Request(new URL(file, url)));
+    const response = new Response(source.body, source);
+    response.headers.set('Content-Type', 'text/markdown; charset=utf-8');
+    response.headers.set('Vary', 'Accept');
+    return response;
+  }
 
-    // Everything else on remoun.blog → redirect to remoun.me
-    // e.g. remoun.blog/admin → remoun.me/admin
-    if (!path.includes('.')) {
-      return Response.redirect(`https://remoun.me${path}`, 301);
+  // Universal: another domain's prefix → that domain, from any host
+  // e.g. remoun.me/love → remoun.love/, remoun.me/blog/my-post → remoun.blog/my-post
+  for (const other of DOMAINS) {
+    if (!other.prefix || other === domain) continue;
+    const rest = stripPrefix(path, other.prefix);
+    if (rest !== null) {
+      return redirect(other.host, `/${rest}`);
     }
   }
 
-  // 2. Handle remoun.love
-  if (host === 'remoun.love') {
-    // Canonicalize /love/* to the root version
-    if (path.startsWith('/love/')) {
-      return Response.redirect(`https://remoun.love/${path.slice(6)}`, 301);
+  // Per-host robots.txt and sitemap.xml, generated at build time
+  if (path === '/robots.txt') {
+    const robots = robotsPath(preview ? undefined : domain?.host);
+    return context.env.ASSETS.fetch(new Request(new URL(robots, url), request));
+  }
+  if (path === '/sitemap.xml' && domain && !domain.noindex) {
+    return context.env.ASSETS.fetch(new Request(new URL(sitemapPath(domain.host), url), request));
+  }
+
+  if (!domain) return serve();
+
+  // Canonicalize the domain's own prefix to the root version
+  // e.g. remoun.blog/blog/my-post → remoun.blog/my-post
+  if (domain.prefix) {
+    const rest = stripPrefix(path, domain.prefix);
+    if (rest !== null) {
+      return redirect(domain.host, `/${rest}`);
     }
-    if (path === '/love') {
-      return Response.redirect('https://remoun.love/', 301);
+  }
+
+  // Serve root as the domain's index page
+  if (path === '/' && domain.index) {
+    return context.env.ASSETS.fetch(new Request(new URL(domain.index, url), request));
+  }
+
+  if (domain.paths?.includes(path)) {
+    return next();
+  }
+
+  // Raw post markdown, following aliases
+  // e.g. remoun.blog/hello-world.md, remoun.blog/old-name.md → /new-name.md
+  const markdownSlug = path.match(/^\/([^/]+)\.md$/)?.[1];
+  if (markdownSlug && domain.markdown && domain.slugs) {
+    const canonical = await canonicalSlug(domain.slugs, markdownSlug);
+    if (!canonical) return notFound();
+    if (canonical !== markdownSlug) {
+      return redirect(domain.host, `/${canonical}.md`);
     }
+    return serveMarkdown(canonical);
+  }
 
-    // Serve root as /love/ page
-    if (path === '/') {
-      return context.env.ASSETS.fetch(new Request(new URL('/love/', url), request));
+  // Markdown of a post another domain serves → there, like the post itself
+  // e.g. remoun.me/hello-world.md → remoun.blog/hello-world.md
+  if (markdownSlug) {
+    for (const other of DOMAINS) {
+      if (!other.markdown || !other.slugs || other === domain) continue;
+      const canonical = await canonicalSlug(other.slugs, markdownSlug);
+      if (canonical) {
+        return redirect(other.host, `/${canonical}.md`);
+      }
     }
+  }
 
-    // Everything else on remoun.love → redirect to remoun.me
-    if (!path.includes('.')) {
-      return Response.redirect(`https://remoun.me${path}`, 301);
+  // Static files are served on every domain
+  if (path.includes('.')) {
+    return serve();
+  }
+
+  const slug = path.slice(1).replace(/\/$/, ''); // "/foo/" → "foo"
+
+  // Short link → its target, unless it has expired since the build
+  // e.g. remoun.to/gh → https://github.com/remoun
+  if (domain.links && slug) {
+    const links = await loadManifest(domain.links);
+    if (!links) manifestMissing = true;
+    const code = slug.toLowerCase();
+    const link = links && Object.hasOwn(links, code) && links[code];
+    if (link && !(link.expires && new Date(link.expires) <= new Date())) {
+      return Response.redirect(link.url, link.status);
     }
   }
 
-  // 3. Handle canonical redirects for remoun.me
-  if (host === 'remoun.me') {
-    // /blog/* → remoun.blog
-    if (path.startsWith('/blog')) {
-      const slug = path.startsWith('/blog/') ? path.slice(6) : '';
-      return Response.redirect(`https://remoun.blog/${slug}`, 301);
+  if (path === '/' && !domain.fallback) {
+    return serve();
+  }
+
+  // Slug this domain serves → the top-level page directly
+  // Pages live at /{slug}/ and /tag/{tag}/ instead of /blog/{slug}/
+  // Old slugs of renamed posts → the current one
+  // e.g. remoun.blog/old-name → remoun.blog/new-name
+  const canonical = domain.slugs && await canonicalSlug(domain.slugs, slug);
+  if (canonical) {
+    if (canonical !== slug) {
+      return redirect(domain.host, `/${canonical}`);
     }
+    // Posts negotiate between HTML and their markdown source
+    if (!domain.markdown || slug.includes('/')) return next();
+    if (prefersMarkdown(request)) return serveMarkdown(slug);
+    const page = await next();
+    const response = new Response(page.body, page);
+    response.headers.append('Vary', 'Accept');
+    return response;
+  }
 
-    // Blog slug at the root → redirect to remoun.blog
-    // e.g. remoun.me/face-blur-tool → remoun.blog/face-blur-tool
-    if (!path.includes('.') && path !== '/' && await isBlogSlug(slug)) {
-      return Response.redirect(`https://remoun.blog/${slug}`, 301);
+  // Slug another domain serves → redirect there, at its current slug
+  // e.g. remoun.me/face-blur-tool → remoun.blog/face-blur-tool
+  for (const other of DOMAINS) {
+    if (!other.slugs || other === domain) continue;
+    const canonical = await canonicalSlug(other.slugs, slug);
+    if (canonical) {
+      return redirect(other.host, `/${canonical}`);
     }
+  }
 
-    // Everything else (portfolio, resume, tools, etc.) served normally by next()
+  // Everything else → the domain's fallback
+  // e.g. remoun.blog/admin → remoun.me/admin
+  if (domain.fallback && !manifestMissing) {
+    return redirect(domain.fallback, path);
   }
 
-  return next();
+  return serve();
 }
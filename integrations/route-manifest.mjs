@@ -0,0 +1,38 @@
+import { readdirSync, writeFileSync } from 'fs';
+import { join, relative, sep } from 'path';
+import { fileURLToPath } from 'url';
+
+export const ROUTE_MANIFEST = 'route-manifest.json';
+
+function walk(dir) {
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const full = join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...walk(full));
+    else files.push(full);
+  }
+  return files;
+}
+
+/**
+ * Writes dist/route-manifest.json: every path the build serves, pages and
+ * static files alike. `foo/index.html` is listed as `/foo/`, everything
+ * else by its file path. The middleware uses it to return real 404s.
+ */
+export default function routeManifest() {
+  return {
+    name: 'route-manifest',
+    hooks: {
+      'astro:build:done': ({ dir, logger }) => {
+        const root = fileURLToPath(dir);
+        const routes = walk(root)
+          .map(f => '/' + relative(root, f).split(sep).join('/'))
+          .map(p => p.replace(/(^|\/)index\.html$/, '$1'))
+          .concat(`/${ROUTE_MANIFEST}`)
+          .sort();
+        writeFileSync(join(root, ROUTE_MANIFEST), JSON.stringify(routes));
+        logger.info(`${routes.length} routes written to ${ROUTE_MANIFEST}`);
+      },
+    },
+  };
+}
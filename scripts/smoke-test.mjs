@@ -1,5 +1,18 @@
 import { readFileSync, readdirSync, existsSync } from 'fs';
-import { join, resolve } from 'path';
+import { join, resolve, extname } from 'path';
+import { DOMAINS, ROUTES, NOT_FOUND, robotsPath, sitemapPath } from '../src/lib/domains.js';
+import { onRequest } from '../functions/_middleware.js';
+import { blogSlugs } from '../src/lib/blog-slugs.js';
+import oauthWorker from '../workers/oauth/index.js';
+import { parseFrontmatter as parseEntry, serializeEntry } from '../src/lib/frontmatter.js';
+import { fromFormValues, toFormValues } from '../src/lib/form-values.js';
+import { parseMarkdown, serializeMarkdown } from '../src/lib/markdown.js';
+import { markdownOptions } from '../src/lib/markdown-options.js';
+import { bundledLanguages, bundledThemes, isSpecialLang } from '../src/lib/preview-shiki.js';
+import { merge3, splitLines } from '../src/lib/merge.js';
+import { createMemoryBackend } from '../src/lib/memory-backend.js';
+import { aliasOwner, renameAliases } from '../src/lib/aliases.js';
+import { createMarkdownProcessor } from '@astrojs/markdown-remark';
 
 const DIST = resolve('dist');
 const POSTS_DIR = resolve('src/content/posts');
@@ -28,6 +41,17 @@ function parseFrontmatter(filePath) {
   return fm;
 }
 
+// The collections the admin was built with, fields included
+function adminCollections() {
+  const html = readFileSync(join(DIST, 'admin', 'index.html'), 'utf-8');
+  const match = html.match(/data-collections="([^"]*)"/);
+  if (!match) return null;
+  const json = match[1]
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(code))
+    .replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+  return JSON.parse(json);
+}
+
 function walkHtml(dir) {
   const files = [];
   for (const entry of readdirSync(dir, { withFileTypes: true })) {
@@ -174,9 +198,801 @@ function checkInternalLinks() {
   };
 }
 
+function checkDomainRoutes() {
+  const errors = [];
+  for (const d of DOMAINS) {
+    const files = [d.index, d.slugs, d.links, d.notFound, ...(d.paths || [])].filter(Boolean);
+    for (const f of files) {
+      if (!resolveHref(f)) errors.push(`${d.host}: ${f} does not resolve to any file in dist/`);
+    }
+    if (d.fallback && !DOMAINS.some(o => o.host === d.fallback)) {
+      errors.push(`${d.host}: fallback ${d.fallback} is not a configured domain`);
+    }
+  }
+
+  if (errors.length === 0) {
+    return { passed: true, message: `Domain routes valid (${DOMAINS.length} domains)` };
+  }
+  return { passed: false, message: 'Domain routes — broken references', errors };
+}
+
+function checkRouteManifest() {
+  const manifestPath = join(DIST, ROUTES);
+  if (!existsSync(manifestPath)) {
+    return { passed: false, message: 'Route manifest missing', errors: [`dist${ROUTES} not found`] };
+  }
+
+  const routes = new Set(JSON.parse(readFileSync(manifestPath, 'utf-8')));
+  const missing = walkHtml(DIST)
+    .map(f => '/' + f.slice(DIST.length + 1).replace(/(^|\/)index\.html$/, '$1'))
+    .filter(r => !routes.has(r));
+  if (!routes.has(NOT_FOUND)) missing.push(NOT_FOUND);
+
+  if (missing.length === 0) {
+    return { passed: true, message: `Route manifest valid (${routes.size} routes)` };
+  }
+  return {
+    passed: false,
+    message: `Route manifest — ${missing.length} built pages missing`,
+    errors: missing.map(r => `${r} is built but not in ${ROUTES}`),
+  };
+}
+
+function checkSitemaps() {
+  const errors = [];
+  const drafts = new Set(
+    mdFiles(POSTS_DIR).filter(f => parseFrontmatter(f).draft).map(f => `/${slug(f)}/`)
+  );
+  let urls = 0;
+
+  for (const d of [...DOMAINS, null]) {
+    const robots = robotsPath(d?.host);
+    if (!existsSync(join(DIST, robots))) errors.push(`dist${robots} not found`);
+    if (!d || d.noindex) continue;
+
+    const sitemap = join(DIST, sitemapPath(d.host));
+    if (!existsSync(sitemap)) {
+      errors.push(`dist${sitemapPath(d.host)} not found`);
+      continue;
+    }
+    for (const [, loc] of readFileSync(sitemap, 'utf-8').matchAll(/<loc>([^<]+)<\/loc>/g)) {
+      urls++;
+      const { host, pathname } = new URL(loc);
+      if (host !== d.host) errors.push(`${d.host} sitemap lists another host: ${loc}`);
+      if (drafts.has(pathname)) errors.push(`${d.host} sitemap lists draft ${pathname}`);
+      if (!resolveHref(pathname)) errors.push(`${d.host} sitemap lists ${pathname}, not in dist/`);
+    }
+  }
+
+  if (errors.length === 0) {
+    return { passed: true, message: `Sitemaps and robots valid (${urls} URLs)` };
+  }
+  return { passed: false, message: 'Sitemaps and robots — problems found', errors };
+}
+
+// Minimal stand-in for the Pages runtime: ASSETS serves files from dist/,
+// next() marks the request as passed through.
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.html': 'text/html',
+  '.txt': 'text/plain',
+};
+
+function assetResponse(pathname) {
+  const p = pathname.replace(/^\//, '');
+  const file = [join(DIST, p, 'index.html'), join(DIST, p)]
+    .find(f => existsSync(f) && extname(f));
+  if (!file) return new Response('', { status: 404 });
+  const type = CONTENT_TYPES[extname(file)] || 'application/octet-stream';
+  return new Response(readFileSync(file), { headers: { 'Content-Type': type } });
+}
+
+// The content has no renamed posts, so routing also sees these aliases, as
+// if a post had been renamed from each
+const ALIAS_FIXTURES = { 'hello-world-old': 'hello-world' };
+
+function servedAsset(pathname) {
+  const response = assetResponse(pathname);
+  if (pathname !== DOMAINS.find(d => d.host === 'remoun.blog').slugs || !response.ok) return response;
+  const slugs = JSON.parse(readFileSync(join(DIST, 'blog-slugs.json'), 'utf-8'));
+  return Response.json({ ...slugs, ...ALIAS_FIXTURES });
+}
+
+async function fetchVia(href, init) {
+  const request = new Request(href, init);
+  return onRequest({
+    request,
+    env: { ASSETS: { fetch: async req => servedAsset(new URL(req.url).pathname) } },
+    next: async () => new Response('', { headers: { 'X-Smoke': 'next' } }),
+  });
+}
+
+async function route(href, init) {
+  const response = await fetchVia(href, init);
+  if (response.headers.get('X-Smoke') === 'next') return 'next';
+  if (response.status >= 300 && response.status < 400) {
+    return `${response.status} ${response.headers.get('Location')}`;
+  }
+  return `${response.status}`;
+}
+
+const ROUTING_CASES = [
+  ['https://remoun.blog/', '200'],
+  ['https://remoun.blog/blog/hello-world', '301 https://remoun.blog/hello-world'],
+  ['https://remoun.blog/hello-world/', 'next'],
+  ['https://remoun.blog/rss.xml', 'next'],
+  ['https://remoun.blog/resume', '301 https://remoun.me/resume'],
+  ['https://remoun.love/', '200'],
+  ['https://remoun.love/love', '301 https://remoun.love/'],
+  ['https://remoun.love/hello-world', '301 https://remoun.blog/hello-world'],
+  ['https://remoun.love/resume', '301 https://remoun.me/resume'],
+  ['https://remoun.to/gh', '301 https://github.com/remoun'],
+  ['https://remoun.to/GH', '301 https://github.com/remoun'],
+  ['https://remoun.to/', '301 https://remoun.me/'],
+  ['https://remoun.to/resume', '301 https://remoun.me/resume'],
+  ['https://remoun.me/', 'next'],
+  ['https://remoun.me/love/', '301 https://remoun.love/'],
+  ['https://remoun.me/blog', '301 https://remoun.blog/'],
+  ['https://remoun.me/hello-world', '301 https://remoun.blog/hello-world'],
+  ['https://remoun.me/hello-world.md', '301 https://remoun.blog/hello-world.md'],
+  ['https://remoun.love/hello-world.md', '301 https://remoun.blog/hello-world.md'],
+  ['https://remoun.me/no-such-post.md', '404'],
+  ['https://remoun.me/resume', 'next'],
+  ['https://remoun.me/resume/index.html', 'next'],
+  ['https://remoun.me/images/faces.jpg', 'next'],
+  ['https://remoun.me/no-such-page', '404'],
+  ['https://remoun.blog/no-such-file.png', '404'],
+  ['https://remoun.love/no-such-file.png', '404'],
+  ['https://preview.remoun-site.pages.dev/no-such-page', '404'],
+  ['https://remoun.blog/sitemap.xml', '200'],
+  ['https://remoun.love/sitemap.xml', '404'],
+  ['https://remoun.to/robots.txt', '200'],
+  ['https://preview.remoun-site.pages.dev/robots.txt', '200'],
+  // Previews: redirects stay on the preview origin
+  ['https://preview.remoun-site.pages.dev/love', '302 https://preview.remoun-site.pages.dev/?__host=remoun.love'],
+  ['https://preview.remoun-site.pages.dev/?__host=remoun.blog', '200'],
+  ['https://preview.remoun-site.pages.dev/blog/hello-world?__host=remoun.blog', '302 https://preview.remoun-site.pages.dev/hello-world?__host=remoun.blog'],
+  ['https://preview.remoun-site.pages.dev/hello-world?__host=remoun.me', '302 https://preview.remoun-site.pages.dev/hello-world?__host=remoun.blog'],
+  ['https://x.pages.dev/blog//evil.com', '302 https://x.pages.dev//evil.com?__host=remoun.blog'],
+  ['https://x.pages.dev//evil?__host=remoun.blog', '302 https://x.pages.dev//evil?__host=remoun.me'],
+  ['http://localhost:8788/resume', '302 http://localhost:8788/resume?__host=remoun.me', { headers: { Cookie: 'preview_host=remoun.blog' } }],
+  ['https://remoun.me/hello-world?__host=remoun.me', '301 https://remoun.blog/hello-world'],
+  ['https://preview.remoun-site.pages.dev/hello-world.md?__host=remoun.me', '302 https://preview.remoun-site.pages.dev/hello-world.md?__host=remoun.blog'],
+];
+
+async function checkMiddlewareRouting() {
+  const errors = [];
+  for (const [href, expected, init] of ROUTING_CASES) {
+    const actual = await route(href, init);
+    if (actual !== expected) errors.push(`${href} → ${actual} (expected ${expected})`);
+  }
+
+  if (errors.length === 0) {
+    return { passed: true, message: `Middleware routing valid (${ROUTING_CASES.length} cases)` };
+  }
+  return { passed: false, message: `Middleware routing — ${errors.length} wrong`, errors };
+}
+
+async function checkAliases() {
+  const slugsPath = join(DIST, 'blog-slugs.json');
+  if (!existsSync(slugsPath)) {
+    return { passed: false, message: 'Blog slug map missing', errors: ['dist/blog-slugs.json not found'] };
+  }
+
+  const slugs = { ...JSON.parse(readFileSync(slugsPath, 'utf-8')), ...ALIAS_FIXTURES };
+  const aliases = Object.entries(slugs).filter(([from, to]) => from !== to);
+  const errors = [];
+  const expectRoute = async (href, expected) => {
+    const actual = await route(href);
+    if (actual !== expected) errors.push(`${href} → ${actual} (expected ${expected})`);
+  };
+  for (const [from, to] of aliases) {
+    if (!resolveHref(`/${to}/`)) {
+      errors.push(`Alias "${from}" points to "${to}", which has no page in dist/`);
+      continue;
+    }
+    for (const host of ['remoun.blog', 'remoun.me']) {
+      await expectRoute(`https://${host}/${from}`, `301 https://remoun.blog/${to}`);
+      // The prefix comes off first, then the alias resolves
+      await expectRoute(`https://${host}/blog/${from}`, `301 https://remoun.blog/${from}`);
+    }
+    await expectRoute(`https://remoun.blog/${from}.md`, `301 https://remoun.blog/${to}.md`);
+    await expectRoute(`https://remoun.me/${from}.md`, `301 https://remoun.blog/${to}.md`);
+  }
+
+  if (errors.length === 0) {
+    return { passed: true, message: `Post aliases valid (${aliases.length} alias${aliases.length !== 1 ? 'es' : ''})` };
+  }
+  return { passed: false, message: 'Post aliases — broken redirects', errors };
+}
+
+// A path claimed twice, as a slug, a tag or an alias, must fail the build
+// rather than leave one of them unreachable
+const postWith = (id, aliases = [], tags = []) => ({ id, data: { aliases, tags } });
+const ALIAS_COLLISIONS = [
+  ['two posts with the same alias', [postWith('a', ['old']), postWith('b', ['/old/'])]],
+  ["an alias that is another post's slug", [postWith('a'), postWith('b', ['a'])]],
+  ['an alias that is a tag page', [postWith('a', ['tag/notes'], ['notes'])]],
+];
+
+function checkAliasCollisions() {
+  const errors = [];
+  const slugs = blogSlugs([postWith('new', ['/old/', 'older'], ['notes'])], [{ data: { tags: ['code'] } }]);
+  const expected = { new: 'new', 'tag/notes': 'tag/notes', 'tag/code': 'tag/code', old: 'new', older: 'new' };
+  if (JSON.stringify(slugs) !== JSON.stringify(expected)) errors.push(`slug map is ${JSON.stringify(slugs)}`);
+
+  for (const [name, posts] of ALIAS_COLLISIONS) {
+    try {
+      blogSlugs(posts, []);
+      errors.push(`${name} builds`);
+    } catch {}
+  }
+
+  if (errors.length === 0) {
+    return { passed: true, message: `Alias collisions fail the build (${ALIAS_COLLISIONS.length} cases)` };
+  }
+  return { passed: false, message: 'Alias collisions — problems found', errors };
+}
+
+async function checkMarkdown() {
+  const posts = mdFiles(POSTS_DIR).map(f => ({ slug: slug(f), ...parseFrontmatter(f) }));
+  const errors = [];
+
+  for (const post of posts) {
+    const file = join(DIST, 'md', `${post.slug}.md`);
+    const response = await fetchVia(`https://remoun.blog/${post.slug}.md`);
+    if (post.draft) {
+      if (existsSync(file)) errors.push(`Draft ${post.slug} leaked into dist/md/`);
+      if (response.status !== 404) errors.push(`Draft /${post.slug}.md → ${response.status} (expected 404)`);
+      continue;
+    }
+    const type = response.headers.get('Content-Type') || '';
+    const body = await response.text();
+    if (response.status !== 200 || !type.startsWith('text/markdown')) {
+      errors.push(`/${post.slug}.md → ${response.status} ${type} (expected 200 text/markdown)`);
+    } else if (!body.startsWith('---\n') || !body.includes('title:')) {
+      errors.push(`/${post.slug}.md is missing its frontmatter`);
+    }
+  }
+
+  const published = posts.find(p => !p.draft);
+  const negotiated = await fetchVia(`https://remoun.blog/${published.slug}/`, {
+    headers: { Accept: 'text/markdown' },
+  });
+  if (!(negotiated.headers.get('Content-Type') || '').startsWith('text/markdown')) {
+    errors.push(`Accept: text/markdown on /${published.slug}/ did not return markdown`);
+  }
+  const browser = await fetchVia(`https://remoun.blog/${published.slug}/`, {
+    headers: { Accept: 'text/html,application/xhtml+xml,*/*;q=0.8' },
+  });
+  if (browser.headers.get('X-Smoke') !== 'next') {
+    errors.push(`Browser Accept header on /${published.slug}/ did not get the HTML page`);
+  }
+
+  if (errors.length === 0) {
+    return { passed: true, message: `Markdown sources valid (${posts.length} posts, no drafts)` };
+  }
+  return { passed: false, message: 'Markdown sources — problems found', errors };
+}
+
+// [url, header, substring the header must contain, or null if it must be absent]
+const HEADER_CASES = [
+  ['https://remoun.me/', 'Strict-Transport-Security', 'max-age='],
+  ['https://preview.remoun-site.pages.dev/', 'Strict-Transport-Security', null],
+  ['https://preview.remoun-site.pages.dev/?__host=remoun.blog', 'Strict-Transport-Security', null],
+  ['https://remoun.me/', 'Content-Security-Policy-Report-Only', "default-src 'self'"],
+  ['https://remoun.me/resume', 'X-Frame-Options', 'SAMEORIGIN'],
+  ['https://remoun.love/', 'X-Frame-Options', 'DENY'],
+  ['https://remoun.love/', 'Content-Security-Policy-Report-Only', "frame-ancestors 'none'"],
+  ['https://remoun.me/admin/', 'Content-Security-Policy-Report-Only', 'https://oauth.remoun.workers.dev'],
+  ['https://remoun.me/face-blur', 'Content-Security-Policy-Report-Only', 'https://cdn.jsdelivr.net'],
+  ['https://remoun.blog/no-such-page.png', 'Referrer-Policy', 'strict-origin-when-cross-origin'],
+  ['https://remoun.love/', 'X-Robots-Tag', 'noindex'],
+  ['https://preview.remoun-site.pages.dev/', 'X-Robots-Tag', 'noindex'],
+  ['https://remoun.blog/', 'Cache-Control', 'must-revalidate'],
+  ['https://remoun.me/blog', 'Cache-Control', 'max-age=86400'],
+  ['https://preview.remoun-site.pages.dev/love', 'Cache-Control', 'no-store'],
+];
+
+// Only violation reports, and only report-sized ones, are accepted
+const CSP_REPORT_BODY = JSON.stringify({ 'csp-report': { 'document-uri': 'https://remoun.me/', 'violated-directive': 'img-src' } });
+const CSP_REPORT_CASES = [
+  ['application/csp-report', CSP_REPORT_BODY, 204],
+  ['application/reports+json', `[${CSP_REPORT_BODY}]`, 204],
+  ['application/json', CSP_REPORT_BODY, 415],
+  ['text/plain', 'hello', 415],
+  ['application/csp-report', 'x'.repeat(64 * 1024), 413],
+];
+
+async function checkResponseHeaders() {
+  const errors = [];
+  for (const [href, header, expected] of HEADER_CASES) {
+    const value = (await fetchVia(href)).headers.get(header);
+    if (expected === null) {
+      if (value !== null) errors.push(`${href} ${header}: "${value}" (expected none)`);
+    } else if (!value?.includes(expected)) {
+      errors.push(`${href} ${header}: "${value ?? ''}" lacks "${expected}"`);
+    }
+    if (header === 'Strict-Transport-Security' && value?.includes('includeSubDomains')) {
+      errors.push(`${href} ${header}: "${value}" covers subdomains`);
+    }
+  }
+
+  // Reports are logged; keep the logging out of this output
+  const warn = console.warn;
+  const logged = [];
+  console.warn = (...args) => logged.push(args.join(' '));
+  try {
+    for (const [type, body, expected] of CSP_REPORT_CASES) {
+      const response = await fetchVia('https://remoun.me/csp-report', { method: 'POST', headers: { 'Content-Type': type }, body });
+      if (response.status !== expected) errors.push(`POST /csp-report as ${type} (${body.length} bytes) → ${response.status} (expected ${expected})`);
+    }
+  } finally {
+    console.warn = warn;
+  }
+  const reports = CSP_REPORT_CASES.filter(([, , expected]) => expected === 204).length;
+  if (logged.length !== reports) errors.push(`/csp-report logged ${logged.length} reports (expected ${reports})`);
+
+  if (errors.length === 0) {
+    return { passed: true, message: `Response headers valid (${HEADER_CASES.length} cases)` };
+  }
+  return { passed: false, message: `Response headers — ${errors.length} wrong`, errors };
+}
+
+// The admin rewrites frontmatter in place: saving an entry unchanged must
+// reproduce the file's frontmatter byte for byte, and awkward titles and tags
+// must come back as written
+const AWKWARD_TITLE = `It's "quoted": a #hash, a [bracket] & 'both'`;
+
+function checkFrontmatterRoundTrip() {
+  const collections = adminCollections();
+  if (!collections) {
+    return { passed: false, message: 'Frontmatter round-trip — no admin fields', errors: ['dist/admin/index.html has no data-collections'] };
+  }
+  const files = collections.flatMap(collection => mdFiles(resolve(collection.dir)).map(file => ({ file, collection })));
+  const block = (content) => content.match(/^---\n[\s\S]*?\n---\n/)?.[0];
+  const errors = [];
+
+  for (const { file, collection } of files) {
+    const original = readFileSync(file, 'utf-8');
+    const { frontmatter, body } = parseEntry(original);
+    if (block(serializeEntry(frontmatter, body, original)) !== block(original)) {
+      errors.push(`${slug(file)}: unchanged save rewrites the frontmatter`);
+    }
+
+    // The same through the admin's form, left as it was opened
+    const values = toFormValues(collection.fields, frontmatter);
+    const saved = { ...frontmatter, ...fromFormValues(collection.fields, values, frontmatter) };
+    if (block(serializeEntry(saved, body, original)) !== block(original)) {
+      errors.push(`${slug(file)}: unchanged form rewrites the frontmatter`);
+    }
+
+    const edited = { ...frontmatter, title: AWKWARD_TITLE, tags: [...(frontmatter.tags ?? []), 'a, b'] };
+    const reread = parseEntry(serializeEntry(edited, body, original)).frontmatter;
+    if (JSON.stringify(reread) !== JSON.stringify(edited)) {
+      errors.push(`${slug(file)}: edited frontmatter reads back as ${JSON.stringify(reread)}`);
+    }
+  }
+
+  if (errors.length === 0) {
+    return { passed: true, message: `Frontmatter round-trips (${files.length} files)` };
+  }
+  return { passed: false, message: 'Frontmatter round-trip — problems found', errors };
+}
+
+// Opening an entry in the rich-text editor and saving it untouched must give
+// back the same file. The serializer must also be faithful on its own: with
+// the remembered sources dropped, every post must write out as markdown that
+// reads back as the same document.
+function checkEditorRoundTrip() {
+  const files = [POSTS_DIR, PROJECTS_DIR].flatMap(mdFiles);
+  const withoutSources = (doc) => JSON.stringify(doc.toJSON(), (key, value) => (key === 'markdown' ? undefined : value));
+  const errors = [];
+
+  for (const file of files) {
+    const original = readFileSync(file, 'utf-8');
+    const { frontmatter, body } = parseEntry(original);
+    const doc = parseMarkdown(body);
+    if (serializeEntry(frontmatter, serializeMarkdown(doc), original) !== original) {
+      errors.push(`${slug(file)}: unchanged save isn't byte-identical`);
+    }
+
+    const plain = doc.type.schema.nodeFromJSON(JSON.parse(withoutSources(doc)));
+    if (withoutSources(parseMarkdown(serializeMarkdown(plain))) !== withoutSources(doc)) {
+      errors.push(`${slug(file)}: markdown written from the editor reads back differently`);
+    }
+  }
+
+  if (errors.length === 0) {
+    return { passed: true, message: `Editor round-trips (${files.length} files)` };
+  }
+  return { passed: false, message: 'Editor round-trip — problems found', errors };
+}
+
+// The admin's preview renders with Astro's markdown processor and the
+// build's options; it should match each published post's page exactly
+async function checkPreview() {
+  const processor = await createMarkdownProcessor(markdownOptions);
+  const errors = [];
+  let count = 0;
+
+  for (const file of mdFiles(POSTS_DIR)) {
+    const page = join(DIST, slug(file), 'index.html');
+    if (parseFrontmatter(file).draft || !existsSync(page)) continue;
+    const built = readFileSync(page, 'utf-8').match(/<div class="post-content"[^>]*>([\s\S]*?)<\/div>\s*<nav class="nav"/);
+    if (!built) {
+      errors.push(`${slug(file)}: no post content in the built page`);
+      continue;
+    }
+    const { code } = await processor.render(parseEntry(readFileSync(file, 'utf-8')).body);
+    if (code.trim() !== built[1].trim()) errors.push(`${slug(file)}: preview differs from the built page`);
+    count++;
+  }
+
+  // The admin's bundle only has some of Shiki's grammars
+  for (const file of [POSTS_DIR, PROJECTS_DIR].flatMap(mdFiles)) {
+    const langs = new Set([...readFileSync(file, 'utf-8').matchAll(/^ {0,3}(?:`{3,}|~{3,})[ \t]*([^\s`{]+)/gm)].map((m) => m[1]));
+    for (const lang of langs) {
+      if (!isSpecialLang(lang) && !Object.hasOwn(bundledLanguages, lang)) {
+        errors.push(`${slug(file)}: ${lang} code isn't highlighted in the preview; add it to src/lib/preview-shiki.js`);
+      }
+    }
+  }
+  if (!Object.hasOwn(bundledThemes, markdownOptions.shikiConfig.theme)) {
+    errors.push(`The ${markdownOptions.shikiConfig.theme} theme isn't in src/lib/preview-shiki.js`);
+  }
+
+  if (errors.length === 0) {
+    return { passed: true, message: `Preview matches the build (${count} posts)` };
+  }
+  return { passed: false, message: 'Admin preview — problems found', errors };
+}
+
+// When an entry changes on the forge while it's edited in the admin, the two
+// versions are merged. Edits to different parts of each file (a title here,
+// a new paragraph there) must combine cleanly, and edits to the same line
+// must come back as a conflict holding both.
+function checkMerge() {
+  const files = [POSTS_DIR, PROJECTS_DIR].flatMap(mdFiles);
+  const text = (chunks) => chunks.map((chunk) => chunk.lines?.join('') ?? '<conflict>').join('');
+  const errors = [];
+
+  for (const file of files) {
+    const base = readFileSync(file, 'utf-8');
+    const lines = splitLines(base);
+    const titleLine = lines.findIndex((line) => line.startsWith('title:'));
+    const mine = lines.map((line, i) => (i === titleLine ? 'title: Retitled\n' : line)).join('');
+    const theirs = `${base.replace(/\n?$/, '\n')}\nA paragraph added elsewhere.\n`;
+    const expected = `${mine.replace(/\n?$/, '\n')}\nA paragraph added elsewhere.\n`;
+
+    if (text(merge3(base, base, theirs)) !== theirs || text(merge3(base, mine, base)) !== mine) {
+      errors.push(`${slug(file)}: a one-sided edit doesn't merge to itself`);
+    }
+    if (text(merge3(base, mine, theirs)) !== expected) {
+      errors.push(`${slug(file)}: separate edits don't combine`);
+    }
+    const clash = merge3(base, mine, mine.replace('title: Retitled', 'title: Renamed'));
+    const conflicts = clash.filter((chunk) => chunk.conflict);
+    if (conflicts.length !== 1 || conflicts[0].conflict.base.join('') !== lines[titleLine]) {
+      errors.push(`${slug(file)}: competing title edits aren't one conflict`);
+    }
+  }
+
+  if (errors.length === 0) {
+    return { passed: true, message: `Admin merges edits (${files.length} files)` };
+  }
+  return { passed: false, message: 'Admin merge — problems found', errors };
+}
+
+// The memory backend stands in for the forges when trying out the admin, so
+// it must keep the GitBackend contract: saves name the version they edit and
+// fail, changing nothing, when it's stale; guests only ever submit
+const POSTS = { name: 'posts', singular: 'post', dir: 'src/content/posts', aliasField: 'aliases', fields: [] };
+const MAINTAINER = { login: 'maintainer', avatar_url: '', role: 'maintainer' };
+const GUEST = { login: 'guest', avatar_url: '', role: 'guest' };
+
+// The error `promise` rejects with, or null if it resolves
+const rejection = (promise) => promise.then(() => null, (e) => e.message);
+
+async function checkMemoryBackend() {
+  const errors = [];
+  const expect = (ok, problem) => { if (!ok) errors.push(problem); };
+  const hello = '---\ntitle: Hello\ndraft: false\n---\n\nHi.\n';
+  try {
+    const backend = createMemoryBackend({ files: { 'src/content/posts/hello.md': hello }, user: MAINTAINER });
+
+    const listed = await backend.listEntries(POSTS);
+    expect(listed.length === 1 && listed[0].slug === 'hello' && listed[0].path === 'src/content/posts/hello.md',
+      `listEntries gave ${JSON.stringify(listed)}`);
+    const entry = await backend.getEntry(POSTS, 'hello');
+    expect(entry.content === hello && entry.frontmatter.title === 'Hello' && entry.body === 'Hi.' && entry.sha === listed[0].sha,
+      `getEntry gave ${JSON.stringify(entry)}`);
+
+    const created = await backend.createEntry(POSTS, 'new', { title: 'New' }, 'Body');
+    const fresh = await backend.getEntry(POSTS, 'new');
+    expect(fresh.sha === created.sha && fresh.frontmatter.title === 'New' && fresh.body === 'Body', 'createEntry: not readable as saved');
+    expect(/already exists/.test(await rejection(backend.createEntry(POSTS, 'new', { title: 'Again' }, ''))),
+      'createEntry over an existing entry succeeded');
+
+    const updated = await backend.updateEntry(POSTS, 'hello', entry.sha, { ...entry.frontmatter, title: 'Hello again' }, entry.body, { original: entry.content });
+    const reread = await backend.getEntry(POSTS, 'hello');
+    expect(updated.sha !== entry.sha && reread.sha === updated.sha, 'updateEntry: sha unchanged');
+    expect(reread.content === hello.replace('Hello', 'Hello again'), `updateEntry wrote ${JSON.stringify(reread.content)}`);
+    expect(await rejection(backend.updateEntry(POSTS, 'hello', entry.sha, { title: 'Stale' }, '')) !== null,
+      'updateEntry with a stale sha succeeded');
+    expect((await backend.getEntry(POSTS, 'hello')).content === reread.content, 'failed updateEntry changed the entry');
+
+    expect(await rejection(backend.deleteEntry(POSTS, 'hello', entry.sha)) !== null, 'deleteEntry with a stale sha succeeded');
+    await backend.deleteEntry(POSTS, 'hello', reread.sha);
+    expect(JSON.stringify((await backend.listEntries(POSTS)).map(e => e.slug)) === '["new"]', 'deleteEntry left the entry listed');
+    expect(await rejection(backend.getEntry(POSTS, 'hello')) !== null, 'getEntry found a deleted entry');
+
+    const guest = createMemoryBackend({ files: { 'src/content/posts/hello.md': hello }, user: GUEST });
+    const { submission } = await guest.createEntry(POSTS, 'guest-post', { title: 'Guest post' }, 'Body');
+    expect(submission?.state === 'open' && submission.branch.startsWith('guest/guest-post'), `guest createEntry gave ${JSON.stringify(submission)}`);
+    expect((await guest.listSubmissions()).some(s => s.number === submission?.number), 'guest submission not listed');
+    expect((await guest.listEntries(POSTS)).length === 1, 'guest createEntry committed the entry');
+    const guestEntry = await guest.getEntry(POSTS, 'hello');
+    expect(await rejection(guest.updateEntry(POSTS, 'hello', guestEntry.sha, { title: 'Mine' }, '')) === 'Not allowed',
+      'guest updateEntry was allowed');
+    expect(await rejection(guest.deleteEntry(POSTS, 'hello', guestEntry.sha)) === 'Not allowed', 'guest deleteEntry was allowed');
+
+    expect(await rejection(createMemoryBackend().listEntries(POSTS)) === 'Not authenticated', 'listEntries worked signed out');
+
+    // Main moving on while a branch is open: separate edits combine, and
+    // competing ones refuse the merge
+    const forked = createMemoryBackend({ files: { 'src/content/posts/hello.md': hello }, user: MAINTAINER });
+    // Each branch gets one commit, so every edit starts from main
+    const edit = async (frontmatter, body, branch) => {
+      const current = await forked.getEntry(POSTS, 'hello');
+      await forked.updateEntry(POSTS, 'hello', current.sha, { ...current.frontmatter, ...frontmatter }, body ?? current.body,
+        { original: current.content, branch });
+    };
+    await edit({}, 'Hi.\n\nFrom the branch.', 'edit/hello');
+    await edit({ title: 'Retitled' });
+    await forked.createEntry(POSTS, 'later', { title: 'Later' }, 'Body');
+    const merging = await forked.openPullRequest('edit/hello', 'Edit hello');
+    await forked.mergePullRequest(merging);
+    const combined = (await forked.getEntry(POSTS, 'hello')).content;
+    expect(combined === '---\ntitle: Retitled\ndraft: false\n---\n\nHi.\n\nFrom the branch.\n',
+      `merging over a moved main gave ${JSON.stringify(combined)}`);
+    expect((await forked.listEntries(POSTS)).some(e => e.slug === 'later'), "merging dropped main's new entry");
+
+    await edit({ title: 'From the branch' }, undefined, 'edit/again');
+    await edit({ title: 'From main' });
+    const clashing = await forked.openPullRequest('edit/again', 'Edit hello again');
+    expect(/conflicts with src\/content\/posts\/hello\.md/.test(await rejection(forked.mergePullRequest(clashing))),
+      'merging competing edits succeeded');
+    expect((await forked.getEntry(POSTS, 'hello')).frontmatter.title === 'From main', 'failed merge changed main');
+    expect((await forked.listPullRequests('edit/')).some(p => p.number === clashing.number && p.state === 'open'),
+      'failed merge closed the pull request');
+  } catch (e) {
+    errors.push(`Unexpected failure: ${e.message}`);
+  }
+
+  if (errors.length === 0) {
+    return { passed: true, message: 'Memory backend keeps the GitBackend contract' };
+  }
+  return { passed: false, message: 'Memory backend — contract broken', errors };
+}
+
+// Renaming an entry moves its file and records the old slug as an alias in
+// one commit, which lands whole or not at all. A slug another post already
+// redirects from must be caught before saving, since the build rejects it.
+async function checkRenames() {
+  const errors = [];
+  const expect = (ok, problem) => { if (!ok) errors.push(problem); };
+  const post = (title, aliases) => `---\ntitle: ${title}\naliases: [${aliases.join(', ')}]\n---\n\n${title}.\n`;
+  const backend = createMemoryBackend({
+    files: {
+      'src/content/posts/first.md': post('First', ['very-first']),
+      'src/content/posts/second.md': post('Second', ['taken']),
+      'public/images/photo.jpg': '',
+    },
+    user: MAINTAINER,
+  });
+  const slugs = async () => JSON.stringify((await backend.listEntries(POSTS)).map(e => e.slug));
+  const rename = (entry, to, options = {}) => backend.updateEntry(
+    POSTS, entry.slug, entry.sha,
+    { ...entry.frontmatter, aliases: renameAliases(entry.frontmatter.aliases, entry.slug, to) },
+    entry.body, { original: entry.content, newSlug: to, ...options }
+  );
+
+  expect(JSON.stringify(renameAliases(['a', 'b'], 'c', 'b')) === '["a","c"]', 'renameAliases keeps the new slug as an alias');
+  try {
+    const slugMap = blogSlugs([postWith('first', ['very-first']), postWith('second', ['taken'])], []);
+    expect(aliasOwner(slugMap, 'taken', 'first') === 'second', "aliasOwner missed another post's alias");
+    expect(aliasOwner(slugMap, 'very-first', 'first') === null, "aliasOwner refused a post's own alias");
+    expect(aliasOwner(slugMap, 'unused', 'first') === null, 'aliasOwner found an unused slug');
+
+    const first = await backend.getEntry(POSTS, 'first');
+    expect(/already exists/.test(await rejection(rename(first, 'second'))), 'renaming onto another post succeeded');
+    expect(/already exists/.test(await rejection(rename(first, 'renamed', { images: [{ name: 'photo.jpg', data: null }] }))),
+      'renaming with an image that exists succeeded');
+    expect(await rejection(backend.updateEntry(POSTS, 'first', 'stale', first.frontmatter, first.body, { newSlug: 'renamed' })) !== null,
+      'renaming with a stale sha succeeded');
+    expect(await slugs() === '["first","second"]', `failed renames changed the entries: ${await slugs()}`);
+
+    const { sha } = await rename(first, 'renamed', { images: [{ name: 'new.jpg', data: null }] });
+    const renamed = await backend.getEntry(POSTS, 'renamed');
+    expect(await slugs() === '["renamed","second"]', `rename left ${await slugs()}`);
+    expect(renamed.sha === sha, 'rename returned the wrong sha');
+    expect(JSON.stringify(renamed.frontmatter.aliases) === '["very-first","first"]' && renamed.body === first.body,
+      `renamed entry reads ${JSON.stringify(renamed.content)}`);
+    expect((await backend.listImages()).some(image => image.name === 'new.jpg'), "rename didn't commit its image");
+  } catch (e) {
+    errors.push(`Unexpected failure: ${e.message}`);
+  }
+
+  if (errors.length === 0) {
+    return { passed: true, message: 'Renames move entries and keep their old slugs' };
+  }
+  return { passed: false, message: 'Renames — problems found', errors };
+}
+
+// The OAuth worker only completes sign-ins that it started, and only talks to
+// the admin origins it lists: a callback needs the state it signed into a
+// cookie, and other origins get neither CORS headers nor the session's API.
+// Production must not list a local origin.
+async function checkOAuthWorker() {
+  const errors = [];
+  const expect = (ok, problem) => { if (!ok) errors.push(problem); };
+  const ADMIN = 'https://remoun.me';
+  const EVIL = 'https://evil.example';
+  const sessions = new Map();
+  const env = {
+    COOKIE_SECRET: 'smoke-test-secret',
+    ALLOWED_ORIGINS: ADMIN,
+    PROVIDER: 'github',
+    REPO: 'remoun/remoun-site',
+    MAINTAINERS: 'remoun',
+    GITHUB_CLIENT_ID: 'client-id',
+    GITHUB_CLIENT_SECRET: 'client-secret',
+    SESSIONS: {
+      async get(key) { return sessions.get(key) ?? null; },
+      async put(key, value) { sessions.set(key, value); },
+      async delete(key) { sessions.delete(key); },
+    },
+  };
+  const worker = (path, init = {}, vars = env) => oauthWorker.fetch(new Request(`https://auth.remoun.me${path}`, init), vars);
+  const cookie = (response, name) => response.headers.getSetCookie()
+    .map(c => c.match(new RegExp(`^${name}=([^;]*)`))?.[1]).find(Boolean);
+
+  // The forge, as far as a sign-in and one proxied call need it. `failures`
+  // stands in for its answers that aren't what the worker asked for.
+  const calls = [];
+  const failures = {};
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (input, init = {}) => {
+    const href = String(input);
+    calls.push(`${init.method ?? 'GET'} ${href}`);
+    if (failures[href]) return failures[href]();
+    if (href === 'https://github.com/login/oauth/access_token') return Response.json({ access_token: 'user-token' });
+    if (href === 'https://api.github.com/user') return Response.json({ login: 'remoun', avatar_url: '' });
+    return Response.json({ authorization: init.headers?.Authorization });
+  };
+
+  try {
+    const toml = readFileSync(resolve('workers/oauth/wrangler.toml'), 'utf-8');
+    const production = toml.match(/^ALLOWED_ORIGINS\s*=\s*"([^"]*)"/m)?.[1].split(',') ?? [];
+    expect(production.length > 0 && production.every(origin => origin.trim().startsWith('https://')),
+      `wrangler.toml allows ${production.join(', ')} in production`);
+
+    const auth = await worker('/auth');
+    const state = new URL(auth.headers.get('Location') ?? 'https://x/').searchParams.get('state');
+    const stateCookie = cookie(auth, 'oauth_state');
+    expect(auth.status === 302 && state && stateCookie, `/auth → ${auth.status} without a state and its cookie`);
+
+    const callback = (query, cookieValue) => worker(`/callback?code=abc&${query}`, cookieValue ? { headers: { Cookie: `oauth_state=${cookieValue}` } } : {});
+    const [value, signature] = decodeURIComponent(stateCookie).split('.');
+    const forged = [
+      ['no cookie', `state=${state}`, null],
+      ['no state', '', stateCookie],
+      ['another state', 'state=other', stateCookie],
+      ['a cookie for another state', 'state=other', encodeURIComponent(`other.${signature}`)],
+      ['an unsigned cookie', `state=${value}`, value],
+    ];
+    for (const [name, query, cookieValue] of forged) {
+      const response = await callback(query, cookieValue);
+      expect(response.status === 400, `/callback with ${name} → ${response.status}`);
+    }
+    expect(calls.length === 0, `forged callbacks reached the forge: ${calls.join(', ')}`);
+
+    const signedIn = await callback(`state=${state}`, stateCookie);
+    const html = await signedIn.text();
+    const session = cookie(signedIn, 'session');
+    expect(signedIn.status === 200 && session && sessions.size === 1, `/callback → ${signedIn.status} without a session`);
+    expect(html.includes(JSON.stringify([ADMIN])) && !html.includes('user-token'),
+      '/callback posts to origins not listed, or gives the page the token');
+
+    const withSession = (path, origin, init = {}, vars = env) =>
+      worker(path, { ...init, headers: { Cookie: `session=${session}`, ...(origin && { Origin: origin }) } }, vars);
+    const preflight = await worker('/session', { method: 'OPTIONS', headers: { Origin: EVIL } });
+    expect(!preflight.headers.has('Access-Control-Allow-Origin'), 'preflight from an unlisted origin allowed');
+    const own = await withSession('/session', ADMIN);
+    expect(own.status === 200 && own.headers.get('Access-Control-Allow-Origin') === ADMIN && (await own.json()).role === 'maintainer',
+      `/session from the admin → ${own.status}`);
+    for (const origin of [EVIL, null]) {
+      const response = await withSession('/session', origin);
+      expect(response.status === 403 && !response.headers.has('Access-Control-Allow-Origin'), `/session from ${origin ?? 'no origin'} → ${response.status}`);
+    }
+
+    calls.length = 0;
+    const contents = '/api/repos/remoun/remoun-site/contents/src';
+    expect((await withSession(contents, EVIL)).status === 403 && calls.length === 0, 'API call from an unlisted origin was proxied');
+    const proxied = await withSession(contents, ADMIN);
+    expect(proxied.status === 200 && (await proxied.json()).authorization === 'Bearer user-token'
+      && calls[0] === 'GET https://api.github.com/repos/remoun/remoun-site/contents/src', `API call from the admin → ${proxied.status}`);
+    // Only REPO itself, not names its dots would match as a pattern
+    const dotted = { ...env, REPO: 'remoun/remoun.me' };
+    expect((await withSession('/api/repos/remoun/remoun.me/contents/src', ADMIN, {}, dotted)).status === 200,
+      'API call to a dotted REPO was refused');
+    expect((await withSession('/api/repos/remoun/remounXme/contents/src', ADMIN, {}, dotted)).status === 403,
+      'API call to a repo matching REPO as a pattern was proxied');
+
+    // A forge that fails mid-sign-in gets the sign-in refused, not a crash
+    const errorPage = (status) => () => new Response('<html>Unavailable</html>', { status, headers: { 'Content-Type': 'text/html' } });
+    const forgeFailures = [
+      ['token endpoint answering 502 with HTML', 'https://github.com/login/oauth/access_token', errorPage(502)],
+      ['token endpoint sending no token', 'https://github.com/login/oauth/access_token', () => Response.json({})],
+      ['token endpoint unreachable', 'https://github.com/login/oauth/access_token', () => { throw new TypeError('fetch failed'); }],
+      ['user lookup answering 500 with HTML', 'https://api.github.com/user', errorPage(500)],
+      ['user lookup sending no login', 'https://api.github.com/user', () => Response.json({})],
+    ];
+    const sessionCount = sessions.size;
+    for (const [name, href, answer] of forgeFailures) {
+      failures[href] = answer;
+      const response = await callback(`state=${state}`, stateCookie).catch(e => ({ status: `a thrown ${e.message}` }));
+      delete failures[href];
+      expect(response.status === 400, `/callback with the ${name} → ${response.status}`);
+    }
+    expect(sessions.size === sessionCount, 'a failed sign-in started a session');
+
+    const unsigned = await worker('/session', { headers: { Origin: ADMIN, Cookie: `session=${decodeURIComponent(session).split('.')[0]}` } });
+    expect(unsigned.status === 401, `/session with an unsigned session id → ${unsigned.status}`);
+  } catch (e) {
+    errors.push(`Unexpected failure: ${e.message}`);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+
+  if (errors.length === 0) {
+    return { passed: true, message: 'OAuth worker checks state and origins' };
+  }
+  return { passed: false, message: 'OAuth worker — problems found', errors };
+}
+
+// The admin's forms are generated from the content schemas at build time;
+// every frontmatter key in use must have a field, or saving would drop it
+async function checkAdminFields() {
+  const collections = adminCollections();
+  if (!collections) {
+    return { passed: false, message: 'Admin fields — missing', errors: ['dist/admin/index.html has no data-collections'] };
+  }
+
+  const errors = [];
+  let fieldCount = 0;
+  for (const collection of collections) {
+    const names = new Set(collection.fields.map(f => f.name));
+    fieldCount += names.size;
+    for (const file of mdFiles(resolve(collection.dir))) {
+      const frontmatter = readFileSync(file, 'utf-8').match(/^---\n([\s\S]*?)\n---/)?.[1] ?? '';
+      for (const [, key] of frontmatter.matchAll(/^(\w+):/gm)) {
+        if (!names.has(key)) errors.push(`${collection.name}/${slug(file)}: no admin field for "${key}"`);
+      }
+    }
+  }
+
+  if (errors.length === 0) {
+    return { passed: true, message: `Admin fields cover the content (${collections.length} collections, ${fieldCount} fields)` };
+  }
+  return { passed: false, message: 'Admin fields — frontmatter keys without a field', errors };
+}
+
 // --- Runner ---
 
-function main() {
+async function main() {
   if (!existsSync(DIST)) {
     console.error('dist/ not found. Run `astro build` first.');
     process.exit(1);
@@ -187,6 +1003,22 @@ function main() {
     checkRss,
     checkTagPages,
     checkInternalLinks,
+    checkDomainRoutes,
+    checkRouteManifest,
+    checkSitemaps,
+    checkMiddlewareRouting,
+    checkAliases,
+    checkAliasCollisions,
+    checkMarkdown,
+    checkResponseHeaders,
+    checkFrontmatterRoundTrip,
+    checkEditorRoundTrip,
+    checkPreview,
+    checkMerge,
+    checkMemoryBackend,
+    checkRenames,
+    checkOAuthWorker,
+    checkAdminFields,
   ];
 
   console.log('\nSmoke Tests');
@@ -194,7 +1026,7 @@ function main() {
 
   let failed = 0;
   for (const check of checks) {
-    const result = check();
+    const result = await check();
     if (result.passed) {
       console.log(`✓ ${result.message}`);
     } else {
@@ -1,187 +1,287 @@
-import { useState, useEffect, useCallback } from 'react';
+import { Fragment, useState, useEffect, useCallback, useRef } from 'react';
 import {
-  isAuthenticated,
-  logout,
-  getUser,
-  listPosts,
-  getPost,
-  createPost,
-  updatePost,
-  deletePost,
-  type PostFile,
-  type PostContent,
-} from '../lib/github';
+  createBackend,
+  type Entry,
+  type EntryFile,
+  type Frontmatter,
+  type GitBackend,
+  type Submission,
+  type User,
+} from '../lib/backend';
+import { newFrontmatter, type Collection, type Field } from '../lib/collections';
 import { Editor } from './Editor';
-
-// Configure these for your repo
-const OWNER = 'remoun';
-const REPO = 'remoun-site';
-const OAUTH_URL = 'https://oauth.remoun.workers.dev/auth'; // Your OAuth worker URL
+import { SourceEditor } from './SourceEditor';
+import { Preview } from './Preview';
+import { MergeView } from './MergeView';
+import { aliasOwner, deployedSlugs, renameAliases } from '../lib/aliases';
+import { deleteDraft, draftKey, listDrafts, loadDraft, saveDraft, type Draft } from '../lib/drafts';
+import { fromFormValues, toFormValues } from '../lib/form-values';
+import { parseFrontmatter, serializeEntry } from '../lib/frontmatter';
+import { createImageLibrary, type ImageLibrary } from '../lib/images';
+import { previewUrl, reviewBranch, reviewSlug } from '../lib/reviews';
+import { richTextWarnings } from '../lib/markdown';
 
 type View = 'list' | 'edit' | 'new';
 
-interface User {
-  login: string;
-  avatar_url: string;
-}
-
-export function Admin() {
-  const [authenticated, setAuthenticated] = useState(isAuthenticated());
+// Collections come with their form fields already derived from the content
+// schemas (see src/pages/admin.astro). The backend defaults to the forge in
+// BACKEND_CONFIG.
+export function Admin({
+  collections: allCollections,
+  backend: initialBackend,
+}: {
+  collections: Collection[];
+  backend?: GitBackend;
+}) {
+  const [backend] = useState(() => initialBackend ?? createBackend());
+  const [images] = useState(() => createImageLibrary(backend));
   const [user, setUser] = useState<User | null>(null);
+  const [checkingSession, setCheckingSession] = useState(true);
+  const authenticated = !!user;
+  // Guests can't edit the repo; they propose new posts as pull requests
+  const guest = user?.role === 'guest';
+  const collections = guest ? allCollections.filter((c) => c.guests) : allCollections;
+  const [collectionName, setCollectionName] = useState(allCollections[0].name);
+  const collection = collections.find((c) => c.name === collectionName) ?? collections[0];
   const [view, setView] = useState<View>('list');
-  const [posts, setPosts] = useState<PostFile[]>([]);
-  const [currentPost, setCurrentPost] = useState<PostContent | null>(null);
+  const [entries, setEntries] = useState<EntryFile[]>([]);
+  const [submissions, setSubmissions] = useState<Submission[]>([]);
+  // Unsaved edits left in this browser, for the list to point out
+  const [drafts, setDrafts] = useState<Draft[]>([]);
+  // Pull requests of entries saved for review, open or not
+  const [reviews, setReviews] = useState<Submission[]>([]);
+  const [currentEntry, setCurrentEntry] = useState<Entry | null>(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [saving, setSaving] = useState(false);
+  // Whether the editor shows the live preview beside it; kept across entries
+  const [preview, setPreview] = useState(false);
+  // Whether saves go to a branch for review rather than live, where the
+  // collection allows it; also kept across entries
+  const [review, setReview] = useState(false);
+
+  const refreshSession = useCallback(() => {
+    backend.getSession()
+      .then(setUser)
+      .catch((e) => {
+        console.error('Failed to check session:', e);
+        setUser(null);
+      })
+      .finally(() => setCheckingSession(false));
+  }, [backend]);
 
-  // Fetch user info on mount
+  // Check for an existing session on mount, and again when a sign-in completes
   useEffect(() => {
-    if (authenticated) {
-      getUser()
-        .then(setUser)
-        .catch((e) => {
-          console.error('Failed to get user:', e);
-          setAuthenticated(false);
-          logout();
-        });
-    }
-  }, [authenticated]);
+    refreshSession();
+    return backend.onLogin(refreshSession);
+  }, [backend, refreshSession]);
 
-  // Fetch posts when authenticated
+  // Fetch entries (or a guest's submissions) when authenticated
   useEffect(() => {
     if (authenticated && view === 'list') {
-      loadPosts();
+      loadEntries();
     }
-  }, [authenticated, view]);
+  }, [authenticated, guest, view, collection]);
 
-  const loadPosts = async () => {
+  const loadEntries = async () => {
     setLoading(true);
     setError(null);
+    listDrafts(collection.name)
+      .then(setDrafts)
+      .catch((e) => console.error('Failed to list drafts:', e));
     try {
-      const result = await listPosts(OWNER, REPO);
-      setPosts(result);
+      if (guest) {
+        setSubmissions(await backend.listSubmissions());
+      } else {
+        setEntries(await backend.listEntries(collection));
+        setReviews(collection.reviewBranch ? await backend.listPullRequests(`${collection.reviewBranch}/`) : []);
+      }
     } catch (e) {
-      setError(e instanceof Error ? e.message : 'Failed to load posts');
+      setError(e instanceof Error ? e.message : `Failed to load ${collection.label.toLowerCase()}`);
     } finally {
       setLoading(false);
     }
   };
 
-  const handleLogin = () => {
-    // Open OAuth flow in popup
-    const width = 600;
-    const height = 700;
-    const left = window.screenX + (window.outerWidth - width) / 2;
-    const top = window.screenY + (window.outerHeight - height) / 2;
-    window.open(
-      OAUTH_URL,
-      'github-oauth',
-      `width=${width},height=${height},left=${left},top=${top}`
-    );
+  const handleLogout = async () => {
+    await backend.logout().catch((e) => console.error('Failed to sign out:', e));
+    setUser(null);
+    setEntries([]);
+    setSubmissions([]);
+    setCurrentEntry(null);
+    setView('list');
   };
 
-  const handleLogout = () => {
-    logout();
-    setAuthenticated(false);
-    setUser(null);
-    setPosts([]);
-    setCurrentPost(null);
+  const handleSwitchCollection = (name: string) => {
+    setCollectionName(name);
+    setCurrentEntry(null);
     setView('list');
   };
 
-  const handleEditPost = async (slug: string) => {
+  // An entry in review opens as it is on its branch
+  const handleEditEntry = async (slug: string) => {
+    const inReview = collection.reviewBranch && openReview(slug);
     setLoading(true);
     setError(null);
     try {
-      const post = await getPost(OWNER, REPO, slug);
-      setCurrentPost(post);
+      const entry = await backend.getEntry(collection, slug, inReview ? inReview.branch : undefined);
+      setCurrentEntry(entry);
       setView('edit');
     } catch (e) {
-      setError(e instanceof Error ? e.message : 'Failed to load post');
+      setError(e instanceof Error ? e.message : `Failed to load ${collection.singular}`);
     } finally {
       setLoading(false);
     }
   };
 
-  const handleNewPost = () => {
-    setCurrentPost({
+  const openReview = (slug: string) =>
+    reviews.find((pull) => pull.state === 'open' && pull.branch === reviewBranch(collection, slug));
+
+  const handleNewEntry = () => {
+    setCurrentEntry({
       slug: '',
       path: '',
       sha: '',
       content: '',
-      frontmatter: {
-        title: '',
-        description: '',
-        date: new Date().toISOString().split('T')[0],
-        draft: true,
-        tags: [],
-      },
+      frontmatter: newFrontmatter(collection),
       body: '',
     });
     setView('new');
   };
 
+  // Autosaved edits are dropped once they're committed
+  const clearDraft = (slug: string) => {
+    deleteDraft(draftKey(collection.name, slug)).catch((e) => console.error('Failed to clear the draft:', e));
+  };
+
+  // Resolves to the entry as it is on the forge if it has changed since it
+  // was opened, in which case nothing is saved: the editor merges first
   const handleSave = async (
-    frontmatter: PostContent['frontmatter'],
+    frontmatter: Frontmatter,
     body: string,
-    slug: string
-  ) => {
+    slug: string,
+    original?: string
+  ): Promise<Entry | undefined> => {
     setSaving(true);
     setError(null);
+    // New images the entry uses go into the same commit
+    const newImages = guest ? [] : images.pendingIn(body);
+    // Entries for review go to a branch of their own; those already in
+    // review stay on theirs
+    const branch = currentEntry?.branch
+      ?? (review && !guest && collection.reviewBranch ? reviewBranch(collection, slug) : undefined);
     try {
+      // A slug another entry redirects from would break the build
+      if (view === 'new' || slug !== currentEntry?.slug) {
+        const slugs = await deployedSlugs(collection);
+        const owner = slugs && aliasOwner(slugs, slug, currentEntry?.slug);
+        if (owner) {
+          setError(`${slug} already redirects to ${owner}, as one of its ${collection.aliasField}. Choose another ${collection.slugLabel.toLowerCase()}.`);
+          return;
+        }
+      }
       if (view === 'new') {
-        await createPost(OWNER, REPO, slug, frontmatter, body);
-      } else if (currentPost) {
-        const newFrontmatter = {
-          ...frontmatter,
-          updated: new Date().toISOString().split('T')[0],
-        };
-        await updatePost(OWNER, REPO, currentPost.slug, currentPost.sha, newFrontmatter, body);
+        await backend.createEntry(collection, slug, frontmatter, body, { original, images: newImages, branch });
+      } else if (currentEntry) {
+        const latest = await backend.getEntry(collection, currentEntry.slug, currentEntry.branch);
+        if (latest.sha !== currentEntry.sha) return latest;
+
+        // Stamp today's date unless it was set by hand
+        const stamp = collection.stampUpdated;
+        let newFrontmatter = stamp && frontmatter[stamp] === currentEntry.frontmatter[stamp]
+          ? { ...frontmatter, [stamp]: new Date().toISOString().split('T')[0] }
+          : frontmatter;
+        const renamed = slug !== currentEntry.slug;
+        // The old slug keeps redirecting, where the collection supports it
+        const aliases = collection.aliasField;
+        if (renamed && aliases) {
+          newFrontmatter = { ...newFrontmatter, [aliases]: renameAliases(newFrontmatter[aliases], currentEntry.slug, slug) };
+        }
+        await backend.updateEntry(collection, currentEntry.slug, currentEntry.sha, newFrontmatter, body, {
+          original,
+          images: newImages,
+          newSlug: renamed ? slug : undefined,
+          branch,
+        });
+      }
+      images.committed(newImages);
+      if (branch) {
+        const title = typeof frontmatter.title === 'string' && frontmatter.title ? frontmatter.title : slug;
+        await backend.openPullRequest(
+          branch,
+          `Publish ${collection.singular}: ${title}`,
+          `Preview: ${previewUrl(collection, branch, slug)}\n\nSaved for review from the admin. Publishing it there merges this pull request.`
+        );
       }
+      clearDraft(currentEntry!.slug);
       setView('list');
-      setCurrentPost(null);
+      setCurrentEntry(null);
     } catch (e) {
-      setError(e instanceof Error ? e.message : 'Failed to save post');
+      setError(e instanceof Error ? e.message : `Failed to save ${collection.singular}`);
     } finally {
       setSaving(false);
     }
   };
 
   const handleDelete = async () => {
-    if (!currentPost || !confirm('Are you sure you want to delete this post?')) {
+    if (!currentEntry || !confirm(`Are you sure you want to delete this ${collection.singular}?`)) {
       return;
     }
     setSaving(true);
     setError(null);
     try {
-      await deletePost(OWNER, REPO, currentPost.slug, currentPost.sha);
+      await backend.deleteEntry(collection, currentEntry.slug, currentEntry.sha);
+      clearDraft(currentEntry.slug);
       setView('list');
-      setCurrentPost(null);
+      setCurrentEntry(null);
     } catch (e) {
-      setError(e instanceof Error ? e.message : 'Failed to delete post');
+      setError(e instanceof Error ? e.message : `Failed to delete ${collection.singular}`);
     } finally {
       setSaving(false);
     }
   };
 
+  // Merging goes live: the default branch deploys
+  const handlePublish = async (pull: Submission) => {
+    if (!confirm(`Publish "${pull.title}"? This merges its pull request and deploys the site.`)) return;
+    setLoading(true);
+    setError(null);
+    try {
+      await backend.mergePullRequest(pull);
+      await loadEntries();
+    } catch (e) {
+      setError(e instanceof Error ? e.message : `Failed to publish ${collection.singular}`);
+      setLoading(false);
+    }
+  };
+
   const handleCancel = () => {
     setView('list');
-    setCurrentPost(null);
+    setCurrentEntry(null);
     setError(null);
   };
 
+  const currentTitle = currentEntry?.frontmatter.title;
+
+  if (checkingSession) {
+    return (
+      <div className="min-h-screen flex items-center justify-center text-stone-500">
+        Loading...
+      </div>
+    );
+  }
+
   if (!authenticated) {
     return (
       <div className="min-h-screen flex items-center justify-center">
         <div className="text-center">
           <h1 className="text-2xl font-medium mb-4">Admin</h1>
-          <p className="text-stone-600 mb-6">Sign in with GitHub to manage your posts.</p>
+          <p className="text-stone-600 mb-6">Sign in with {backend.name} to manage the site's content.</p>
           <button
-            onClick={handleLogin}
+            onClick={() => backend.login()}
             className="px-6 py-3 bg-stone-900 text-white rounded-lg hover:bg-stone-800 transition-colors"
           >
-            Sign in with GitHub
+            Sign in with {backend.name}
           </button>
         </div>
       </div>
@@ -202,7 +302,9 @@ export function Admin() {
             </button>
             {view !== 'list' && (
               <span className="text-stone-400">
-                / {view === 'new' ? 'New Post' : currentPost?.frontmatter.title || 'Edit'}
+                / {view === 'new'
+                  ? `New ${collection.singular}`
+                  : (typeof currentTitle === 'string' && currentTitle) || currentEntry?.slug || 'Edit'}
               </span>
             )}
           </div>
@@ -215,6 +317,11 @@ export function Admin() {
                   className="w-8 h-8 rounded-full"
                 />
                 <span className="text-sm text-stone-600">{user.login}</span>
+                {guest && (
+                  <span className="text-xs px-2 py-0.5 rounded-full bg-stone-200 text-stone-600">
+                    Guest author
+                  </span>
+                )}
               </div>
             )}
             <button
@@ -227,6 +334,27 @@ export function Admin() {
         </div>
       </header>
 
+      {/* Collection switcher */}
+      {collections.length > 1 && (
+        <nav className="border-b border-stone-200 bg-white">
+          <div className="max-w-4xl mx-auto px-4 flex gap-6">
+            {collections.map((c) => (
+              <button
+                key={c.name}
+                onClick={() => handleSwitchCollection(c.name)}
+                className={`py-3 text-sm border-b-2 -mb-px transition-colors ${
+                  c.name === collection.name
+                    ? 'border-stone-900 text-stone-900'
+                    : 'border-transparent text-stone-500 hover:text-stone-700'
+                }`}
+              >
+                {c.label}
+              </button>
+            ))}
+          </div>
+        </nav>
+      )}
+
       {/* Error message */}
       {error && (
         <div className="max-w-4xl mx-auto px-4 py-3">
@@ -237,20 +365,40 @@ export function Admin() {
       )}
 
       {/* Content */}
-      <main className="max-w-4xl mx-auto px-4 py-8">
-        {view === 'list' ? (
-          <PostList
-            posts={posts}
+      <main className={`${view !== 'list' && preview && collection.body ? 'max-w-7xl' : 'max-w-4xl'} mx-auto px-4 py-8`}>
+        {view === 'list' && guest ? (
+          <SubmissionList
+            submissions={submissions}
             loading={loading}
-            onEdit={handleEditPost}
-            onNew={handleNewPost}
+            onNew={handleNewEntry}
+          />
+        ) : view === 'list' ? (
+          <EntryList
+            collection={collection}
+            entries={entries}
+            drafts={drafts}
+            reviews={reviews}
+            loading={loading}
+            onEdit={handleEditEntry}
+            onPublish={handlePublish}
+            onNew={handleNewEntry}
           />
         ) : (
-          <PostEditor
-            post={currentPost!}
+          <EntryEditor
+            key={`${collection.name}/${currentEntry!.slug}`}
+            collection={collection}
+            entry={currentEntry!}
             isNew={view === 'new'}
+            guest={guest}
+            forge={backend.name}
             saving={saving}
+            images={guest ? undefined : images}
+            preview={preview}
+            onPreviewChange={setPreview}
+            review={review}
+            onReviewChange={guest || !collection.reviewBranch ? undefined : setReview}
             onSave={handleSave}
+            onRebase={setCurrentEntry}
             onDelete={handleDelete}
             onCancel={handleCancel}
           />
@@ -260,42 +408,77 @@ export function Admin() {
   );
 }
 
-function PostList({
-  posts,
+function EntryList({
+  collection,
+  entries,
+  drafts,
+  reviews,
   loading,
   onEdit,
+  onPublish,
   onNew,
 }: {
-  posts: PostFile[];
+  collection: Collection;
+  entries: EntryFile[];
+  drafts: Draft[];
+  reviews: Submission[];
   loading: boolean;
   onEdit: (slug: string) => void;
+  onPublish: (pull: Submission) => void;
   onNew: () => void;
 }) {
+  const unsaved = new Set(drafts.map((draft) => draft.key));
+  const newDraft = drafts.find((draft) => draft.key === draftKey(collection.name, ''));
+  const inReview = new Set(reviews.filter((pull) => pull.state === 'open').map((pull) => pull.branch));
+
   return (
     <div>
       <div className="flex items-center justify-between mb-6">
-        <h2 className="text-xl font-medium">Posts</h2>
+        <h2 className="text-xl font-medium">{collection.label}</h2>
         <button
           onClick={onNew}
-          className="px-4 py-2 bg-stone-900 text-white rounded-lg hover:bg-stone-800 transition-colors"
+          className="px-4 py-2 bg-stone-900 text-white rounded-lg hover:bg-stone-800 transition-colors capitalize"
         >
-          New Post
+          New {collection.singular}
         </button>
       </div>
 
+      {newDraft && (
+        <button
+          onClick={onNew}
+          className="w-full text-left mb-4 px-4 py-3 border border-amber-200 bg-amber-50 rounded-lg text-sm text-amber-900 hover:bg-amber-100 transition-colors"
+        >
+          Unsaved new {collection.singular}{newDraft.slug && <>: <span className="font-mono">{newDraft.slug}</span></>}. Continue editing
+        </button>
+      )}
+
+      {!loading && reviews.length > 0 && (
+        <ReviewList collection={collection} reviews={reviews} onEdit={onEdit} onPublish={onPublish} />
+      )}
+
       {loading ? (
         <div className="text-stone-500">Loading...</div>
-      ) : posts.length === 0 ? (
-        <div className="text-stone-500">No posts yet. Create your first post!</div>
+      ) : entries.length === 0 ? (
+        <div className="text-stone-500">
+          No {collection.label.toLowerCase()} yet. Create your first {collection.singular}!
+        </div>
       ) : (
         <ul className="divide-y divide-stone-200 border border-stone-200 rounded-lg bg-white">
-          {posts.map((post) => (
-            <li key={post.slug}>
+          {entries.map((entry) => (
+            <li key={entry.slug}>
               <button
-                onClick={() => onEdit(post.slug)}
+                onClick={() => onEdit(entry.slug)}
                 className="w-full text-left px-4 py-3 hover:bg-stone-50 transition-colors"
               >
-                <span className="font-medium">{post.slug}</span>
+                <span className="font-medium">{entry.slug}</span>
+                {collection.reviewBranch && inReview.has(reviewBranch(collection, entry.slug)) && (
+                  <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${STATE_STYLES.open}`}>In review</span>
+                )}
+                {unsaved.has(draftKey(collection.name, entry.slug)) && (
+                  <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-amber-100 text-amber-800">
+                    Unsaved changes
+                  </span>
+                )}
               </button>
             </li>
           ))}
@@ -305,155 +488,524 @@ function PostList({
   );
 }
 
-function PostEditor({
-  post,
+// Entries saved for review, with their pull requests' state. Open ones can
+// be previewed, edited further on their branch, or published.
+function ReviewList({
+  collection,
+  reviews,
+  onEdit,
+  onPublish,
+}: {
+  collection: Collection;
+  reviews: Submission[];
+  onEdit: (slug: string) => void;
+  onPublish: (pull: Submission) => void;
+}) {
+  return (
+    <section className="mb-8">
+      <h3 className="text-sm font-medium text-stone-600 mb-2">In review</h3>
+      <ul className="divide-y divide-stone-200 border border-stone-200 rounded-lg bg-white">
+        {reviews.map((pull) => {
+          const slug = reviewSlug(collection, pull.branch)!;
+          return (
+            <li key={pull.number} className="px-4 py-3 flex items-center gap-4 text-sm">
+              <a
+                href={pull.url || undefined}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex-1 min-w-0 truncate font-medium hover:text-stone-600"
+              >
+                {pull.title}
+              </a>
+              {pull.state === 'open' && (
+                <>
+                  <a
+                    href={previewUrl(collection, pull.branch, slug)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-stone-500 hover:text-stone-800"
+                  >
+                    Preview
+                  </a>
+                  <button onClick={() => onEdit(slug)} className="text-stone-500 hover:text-stone-800">
+                    Edit
+                  </button>
+                  <button onClick={() => onPublish(pull)} className="font-medium text-green-700 hover:text-green-900">
+                    Publish
+                  </button>
+                </>
+              )}
+              <span className={`text-xs px-2 py-0.5 rounded-full ${STATE_STYLES[pull.state]}`}>{pull.state}</span>
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
+
+const STATE_STYLES: Record<Submission['state'], string> = {
+  open: 'bg-amber-100 text-amber-800',
+  merged: 'bg-green-100 text-green-800',
+  closed: 'bg-stone-200 text-stone-600',
+};
+
+function SubmissionList({
+  submissions,
+  loading,
+  onNew,
+}: {
+  submissions: Submission[];
+  loading: boolean;
+  onNew: () => void;
+}) {
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-medium">Your submissions</h2>
+        <button
+          onClick={onNew}
+          className="px-4 py-2 bg-stone-900 text-white rounded-lg hover:bg-stone-800 transition-colors"
+        >
+          New Post
+        </button>
+      </div>
+
+      <p className="text-stone-600 mb-6">
+        New posts are sent as pull requests for a maintainer to review.
+      </p>
+
+      {loading ? (
+        <div className="text-stone-500">Loading...</div>
+      ) : submissions.length === 0 ? (
+        <div className="text-stone-500">No submissions yet. Write your first guest post!</div>
+      ) : (
+        <ul className="divide-y divide-stone-200 border border-stone-200 rounded-lg bg-white">
+          {submissions.map((submission) => (
+            <li key={submission.number} className="px-4 py-3 flex items-center justify-between gap-4">
+              <a
+                href={submission.url || undefined}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="font-medium hover:text-stone-600"
+              >
+                {submission.title}
+              </a>
+              <span className={`text-xs px-2 py-0.5 rounded-full ${STATE_STYLES[submission.state]}`}>
+                {submission.state}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const inputClass =
+  'w-full px-3 py-2 border border-stone-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-stone-500';
+
+function slugify(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+function FieldInput({
+  field,
+  value,
+  onChange,
+}: {
+  field: Field;
+  value: string | boolean;
+  onChange: (value: string | boolean) => void;
+}) {
+  const id = `field-${field.name}`;
+
+  if (field.widget === 'boolean') {
+    return (
+      <div className="col-span-2 flex items-center gap-2">
+        <input
+          type="checkbox"
+          id={id}
+          checked={value === true}
+          onChange={(e) => onChange(e.target.checked)}
+          className="w-4 h-4"
+        />
+        <label htmlFor={id} className="text-sm text-stone-700">
+          {field.label}
+        </label>
+      </div>
+    );
+  }
+
+  if (field.widget === 'select') {
+    return (
+      <div>
+        <label htmlFor={id} className="block text-sm font-medium text-stone-700 mb-1">
+          {field.label}
+        </label>
+        <select
+          id={id}
+          value={String(value)}
+          onChange={(e) => onChange(e.target.value)}
+          className={inputClass}
+          required={field.required}
+        >
+          {!field.required && <option value="" />}
+          {field.options?.map((option) => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      </div>
+    );
+  }
+
+  return (
+    <div className={field.widget === 'string' ? 'col-span-2' : ''}>
+      <label htmlFor={id} className="block text-sm font-medium text-stone-700 mb-1">
+        {field.label}
+        {field.widget === 'list' && ' (comma-separated)'}
+      </label>
+      <input
+        type={field.widget === 'date' ? 'date' : 'text'}
+        id={id}
+        value={String(value)}
+        onChange={(e) => onChange(e.target.value)}
+        className={inputClass}
+        required={field.required}
+      />
+    </div>
+  );
+}
+
+function EntryEditor({
+  collection,
+  entry,
   isNew,
+  guest,
+  forge,
   saving,
+  images,
+  preview,
+  onPreviewChange,
+  review,
+  onReviewChange,
   onSave,
+  onRebase,
   onDelete,
   onCancel,
 }: {
-  post: PostContent;
+  collection: Collection;
+  entry: Entry;
   isNew: boolean;
+  guest: boolean;
+  /** Backend name, for where others' changes come from */
+  forge: string;
   saving: boolean;
-  onSave: (frontmatter: PostContent['frontmatter'], body: string, slug: string) => void;
+  /** For adding images to the body; guests can't commit them */
+  images?: ImageLibrary;
+  preview: boolean;
+  onPreviewChange: (preview: boolean) => void;
+  review: boolean;
+  /** Without it, saves always go live */
+  onReviewChange?: (review: boolean) => void;
+  /** Resolves to the latest version instead of saving if the entry has changed since */
+  onSave: (frontmatter: Frontmatter, body: string, slug: string, original?: string) => Promise<Entry | undefined>;
+  /** Edits are now based on `latest`, as merged */
+  onRebase: (latest: Entry) => void;
   onDelete: () => void;
   onCancel: () => void;
 }) {
-  const [slug, setSlug] = useState(post.slug);
-  const [title, setTitle] = useState(post.frontmatter.title);
-  const [description, setDescription] = useState(post.frontmatter.description);
-  const [date, setDate] = useState(post.frontmatter.date);
-  const [draft, setDraft] = useState(post.frontmatter.draft ?? false);
-  const [tags, setTags] = useState(post.frontmatter.tags?.join(', ') ?? '');
-  const [body, setBody] = useState(post.body);
-
-  // Auto-generate slug from title for new posts
+  const [slug, setSlug] = useState(entry.slug);
+  const [values, setValues] = useState(() => toFormValues(collection.fields, entry.frontmatter));
+  const [body, setBody] = useState(entry.body);
+  // Keys without a form field ride along untouched
+  const [frontmatter, setFrontmatter] = useState(entry.frontmatter);
+  // The whole file, while it's edited as markdown source
+  const [mode, setMode] = useState<'rich' | 'source'>('rich');
+  const [source, setSource] = useState('');
+  // The file as last seen in full, whose frontmatter formatting to keep
+  const [original, setOriginal] = useState(isNew ? undefined : entry.content);
+  // Bumped to remount the rich-text editor on a body from source mode
+  const [editorKey, setEditorKey] = useState(0);
+  // Saves go to a review branch and pull request instead of going live
+  const inReview = !!entry.branch || (review && !!onReviewChange);
+  // The entry changed on the forge while it was edited here
+  const [conflict, setConflict] = useState<{ base: string; mine: string; theirs: Entry } | null>(null);
+
+  const currentFrontmatter = () => ({ ...frontmatter, ...fromFormValues(collection.fields, values, frontmatter) });
+
+  // The whole file as edited, which is what autosave keeps
+  const file = mode === 'source' ? source : serializeEntry(currentFrontmatter(), collection.body ? body : '', original);
+  const pristine = useRef(file);
+  const edited = file !== pristine.current || slug !== entry.slug;
+
+  // Edits left from an earlier visit, until recovered or discarded: undefined
+  // while checking. Autosave waits for the answer so as not to overwrite them.
+  const key = draftKey(collection.name, entry.slug);
+  const [draft, setDraft] = useState<Draft | null | undefined>(undefined);
+  const [autosaved, setAutosaved] = useState<Date | null>(null);
+  useEffect(() => {
+    loadDraft(key)
+      .then((found) => setDraft(found ?? null))
+      .catch(() => setDraft(null));
+  }, [key]);
+
+  useEffect(() => {
+    if (draft !== null || !edited) return;
+    const timer = setTimeout(() => {
+      saveDraft({ key, slug, sha: entry.sha, base: entry.content, content: file, savedAt: Date.now() })
+        .then(() => setAutosaved(new Date()))
+        .catch((e) => console.error('Failed to autosave:', e));
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [draft, edited, key, slug, entry, file]);
+
+  // What the preview shows. Source whose frontmatter doesn't parse leaves
+  // the preview as it last was.
+  const lastPreviewed = useRef<{ frontmatter: Frontmatter; body: string } | null>(null);
+  const previewed = () => {
+    if (mode === 'rich') return (lastPreviewed.current = { frontmatter: currentFrontmatter(), body });
+    try {
+      return (lastPreviewed.current = parseFrontmatter(source));
+    } catch {
+      return lastPreviewed.current ?? { frontmatter: {}, body: '' };
+    }
+  };
+
+  // The source as frontmatter and body, or null (with an alert) if the
+  // frontmatter doesn't parse
+  const readSource = () => {
+    try {
+      return parseFrontmatter(source);
+    } catch (e) {
+      alert(`The frontmatter isn't valid YAML: ${e instanceof Error ? e.message : e}`);
+      return null;
+    }
+  };
+
+  const showSource = () => {
+    setSource(serializeEntry(currentFrontmatter(), body, original));
+    setMode('source');
+  };
+
+  const showParsed = (parsed: { frontmatter: Frontmatter; body: string }, content: string) => {
+    setFrontmatter(parsed.frontmatter);
+    setValues(toFormValues(collection.fields, parsed.frontmatter));
+    setBody(parsed.body);
+    setOriginal(content);
+    setEditorKey((key) => key + 1);
+    setMode('rich');
+  };
+
+  const showRichText = () => {
+    const parsed = readSource();
+    if (!parsed) return;
+    const warnings = richTextWarnings(parsed.body);
+    if (warnings.length && !confirm(`The rich-text view can't hold this exactly:\n\n${warnings.join('\n')}\n\nSwitch anyway?`)) {
+      return;
+    }
+    showParsed(parsed, source);
+  };
+
+  // Edit `content`, a whole file: as rich text, or as source if the rich-text
+  // view can't hold it exactly
+  const showFile = (content: string) => {
+    try {
+      const parsed = parseFrontmatter(content);
+      if (!collection.body || !richTextWarnings(parsed.body).length) return showParsed(parsed, content);
+    } catch {
+      // Shown as source, where the frontmatter error is marked
+    }
+    setSource(content);
+    setMode('source');
+  };
+
+  // A draft edited from an older version gets merged with the current one
+  const recoverDraft = (found: Draft) => {
+    setSlug(found.slug);
+    if (!isNew && found.sha !== entry.sha) {
+      setConflict({ base: found.base, mine: found.content, theirs: entry });
+    } else {
+      showFile(found.content);
+    }
+    setDraft(null);
+  };
+
+  const discardDraft = () => {
+    deleteDraft(key).catch((e) => console.error('Failed to discard the draft:', e));
+    setDraft(null);
+  };
+
+  const resolveConflict = (merged: string) => {
+    onRebase(conflict!.theirs);
+    showFile(merged);
+    setConflict(null);
+  };
+
+  const handleCancel = () => {
+    if (draft === null && edited) {
+      if (!confirm('Discard your unsaved changes?')) return;
+      discardDraft();
+    }
+    onCancel();
+  };
+
+  // Auto-generate the slug for new entries, e.g. from the title
+  const slugSource = collection.slugFrom ? values[collection.slugFrom] : undefined;
   useEffect(() => {
-    if (isNew && title) {
-      const newSlug = title
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, '-')
-        .replace(/^-|-$/g, '');
-      setSlug(newSlug);
+    if (isNew && typeof slugSource === 'string' && slugSource) {
+      setSlug(slugify(slugSource));
     }
-  }, [isNew, title]);
+  }, [isNew, slugSource]);
 
-  const handleSubmit = (e: React.FormEvent) => {
+  const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
-    if (!slug || !title) {
-      alert('Title is required');
+    if (!slug) {
+      alert(`${collection.slugFrom ? 'Title' : collection.slugLabel} is required`);
       return;
     }
-    onSave(
-      {
-        title,
-        description,
-        date,
-        draft,
-        tags: tags
-          .split(',')
-          .map((t) => t.trim())
-          .filter(Boolean),
-      },
-      body,
-      slug
-    );
+    const parsed = mode === 'source'
+      ? readSource()
+      : { frontmatter: currentFrontmatter(), body: collection.body ? body : '' };
+    if (!parsed) return;
+    let frontmatter = parsed.frontmatter;
+    // The review branch is what holds the entry back: a draft would be
+    // missing from its preview, and stay hidden once published
+    const draftField = collection.draftField;
+    if (inReview && draftField && frontmatter[draftField] === true) {
+      const field = collection.fields.find((f) => f.name === draftField)?.label ?? draftField;
+      if (!confirm(`This ${collection.singular} is marked ${field}, so its preview won't show it and publishing won't either. Unmark it and save for review?`)) return;
+      frontmatter = { ...frontmatter, [draftField]: false };
+    }
+    const latest = await onSave(frontmatter, parsed.body, slug, mode === 'source' ? source : original);
+    if (latest) setConflict({ base: entry.content, mine: file, theirs: latest });
   };
 
+  // Renaming moves the file in the same commit as the rest of the save
+  const slugInput = (
+    <div className="col-span-2">
+      <label htmlFor="field-slug" className="block text-sm font-medium text-stone-700 mb-1">
+        {collection.slugLabel}
+      </label>
+      <input
+        type="text"
+        id="field-slug"
+        value={slug}
+        onChange={(e) => setSlug(e.target.value)}
+        className={`${inputClass} font-mono text-sm`}
+        readOnly={!!entry.branch}
+        required
+      />
+      {entry.branch && (
+        <p className="mt-1 text-xs text-stone-500">Its review branch is named after it, so rename it once it's published.</p>
+      )}
+      {!isNew && slug !== entry.slug && (
+        <p className="mt-1 text-xs text-stone-500">
+          {collection.aliasField
+            ? <>Renaming: <code>{entry.slug}</code> will redirect here, as one of its {collection.aliasField}.</>
+            : <>Renaming: links to <code>{entry.slug}</code> will stop working.</>}
+        </p>
+      )}
+    </div>
+  );
+
+  if (conflict) {
+    return (
+      <MergeView
+        forge={forge}
+        base={conflict.base}
+        mine={conflict.mine}
+        theirs={conflict.theirs.content}
+        onResolve={resolveConflict}
+        onCancel={() => {
+          showFile(conflict.mine);
+          setConflict(null);
+        }}
+      />
+    );
+  }
+
   return (
     <form onSubmit={handleSubmit}>
       <div className="space-y-6">
-        {/* Metadata */}
-        <div className="bg-white border border-stone-200 rounded-lg p-4 space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-stone-700 mb-1">
-              Title
-            </label>
-            <input
-              type="text"
-              value={title}
-              onChange={(e) => setTitle(e.target.value)}
-              className="w-full px-3 py-2 border border-stone-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-stone-500"
-              required
-            />
+        {draft && (
+          <div className="flex items-center gap-3 bg-amber-50 border border-amber-200 rounded-lg px-4 py-3 text-sm text-amber-900">
+            <span className="flex-1">
+              You have unsaved changes from {new Date(draft.savedAt).toLocaleString()}. Changes here aren't
+              autosaved until you recover or discard them.
+            </span>
+            <button type="button" onClick={() => recoverDraft(draft)} className="font-medium hover:underline">
+              Recover
+            </button>
+            <button type="button" onClick={discardDraft} className="text-amber-700 hover:underline">
+              Discard
+            </button>
           </div>
+        )}
 
-          {isNew && (
-            <div>
-              <label className="block text-sm font-medium text-stone-700 mb-1">
-                Slug
-              </label>
-              <input
-                type="text"
-                value={slug}
-                onChange={(e) => setSlug(e.target.value)}
-                className="w-full px-3 py-2 border border-stone-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-stone-500 font-mono text-sm"
-                required
-              />
-            </div>
-          )}
-
-          <div>
-            <label className="block text-sm font-medium text-stone-700 mb-1">
-              Description
-            </label>
-            <input
-              type="text"
-              value={description}
-              onChange={(e) => setDescription(e.target.value)}
-              className="w-full px-3 py-2 border border-stone-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-stone-500"
-            />
+        {/* Metadata. The slug input follows the field it's generated from.
+            In source mode the frontmatter is part of the text. */}
+        {mode === 'rich' ? (
+          <div className="bg-white border border-stone-200 rounded-lg p-4 grid grid-cols-2 gap-4">
+            {!collection.slugFrom && slugInput}
+            {collection.fields.map((field) => (
+              <Fragment key={field.name}>
+                <FieldInput
+                  field={field}
+                  value={values[field.name]}
+                  onChange={(value) => setValues((v) => ({ ...v, [field.name]: value }))}
+                />
+                {field.name === collection.slugFrom && slugInput}
+              </Fragment>
+            ))}
           </div>
-
-          <div className="grid grid-cols-2 gap-4">
-            <div>
-              <label className="block text-sm font-medium text-stone-700 mb-1">
-                Date
-              </label>
-              <input
-                type="date"
-                value={date}
-                onChange={(e) => setDate(e.target.value)}
-                className="w-full px-3 py-2 border border-stone-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-stone-500"
-              />
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-stone-700 mb-1">
-                Tags (comma-separated)
-              </label>
-              <input
-                type="text"
-                value={tags}
-                onChange={(e) => setTags(e.target.value)}
-                className="w-full px-3 py-2 border border-stone-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-stone-500"
-                placeholder="tag1, tag2"
-              />
-            </div>
+        ) : (
+          <div className="bg-white border border-stone-200 rounded-lg p-4 grid grid-cols-2 gap-4">
+            {slugInput}
           </div>
+        )}
 
-          <div className="flex items-center gap-2">
-            <input
-              type="checkbox"
-              id="draft"
-              checked={draft}
-              onChange={(e) => setDraft(e.target.checked)}
-              className="w-4 h-4"
-            />
-            <label htmlFor="draft" className="text-sm text-stone-700">
-              Draft (won't appear on site)
-            </label>
+        {/* Editor, and the preview beside it on wide screens */}
+        {collection.body && (
+          <div className={preview ? 'grid gap-6 lg:grid-cols-2 items-start' : undefined}>
+            <div className="bg-white border border-stone-200 rounded-lg overflow-hidden">
+              <div className="flex gap-1 border-b border-stone-200 px-2 py-1.5 text-sm">
+                <ModeButton active={preview} onClick={() => onPreviewChange(!preview)}>
+                  Preview
+                </ModeButton>
+                <span className="flex-1" />
+                <ModeButton active={mode === 'rich'} onClick={() => mode === 'source' && showRichText()}>
+                  Rich text
+                </ModeButton>
+                <ModeButton active={mode === 'source'} onClick={() => mode === 'rich' && showSource()}>
+                  Markdown
+                </ModeButton>
+              </div>
+              {mode === 'rich' ? (
+                <Editor
+                  key={editorKey}
+                  initialContent={body}
+                  onChange={setBody}
+                  images={images}
+                />
+              ) : (
+                <SourceEditor
+                  value={source}
+                  onChange={setSource}
+                  fields={collection.fields.map((f) => f.name)}
+                />
+              )}
+            </div>
+            {preview && (
+              <div className="lg:sticky lg:top-4">
+                <Preview {...previewed()} />
+              </div>
+            )}
           </div>
-        </div>
-
-        {/* Editor */}
-        <div className="bg-white border border-stone-200 rounded-lg overflow-hidden">
-          <Editor
-            initialContent={body}
-            onChange={setBody}
-          />
-        </div>
+        )}
 
         {/* Actions */}
         <div className="flex items-center justify-between">
@@ -463,18 +1015,43 @@ function PostEditor({
               disabled={saving}
               className="px-4 py-2 bg-stone-900 text-white rounded-lg hover:bg-stone-800 transition-colors disabled:opacity-50"
             >
-              {saving ? 'Saving...' : isNew ? 'Create Post' : 'Save Changes'}
+              {saving
+                ? 'Saving...'
+                : guest
+                  ? 'Submit for Review'
+                  : inReview
+                    ? 'Save for Review'
+                    : isNew
+                      ? `Create ${collection.singular}`
+                      : 'Save Changes'}
             </button>
             <button
               type="button"
-              onClick={onCancel}
+              onClick={handleCancel}
               className="px-4 py-2 text-stone-600 hover:text-stone-800"
             >
               Cancel
             </button>
+            {onReviewChange && (
+              <label className="flex items-center gap-2 text-sm text-stone-600">
+                <input
+                  type="checkbox"
+                  checked={inReview}
+                  disabled={!!entry.branch}
+                  onChange={(e) => onReviewChange(e.target.checked)}
+                  className="rounded border-stone-300"
+                />
+                {entry.branch ? `In review on ${entry.branch}` : 'Submit for review'}
+              </label>
+            )}
+            {autosaved && edited && (
+              <span className="text-xs text-stone-400">
+                Kept in this browser at {autosaved.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+              </span>
+            )}
           </div>
 
-          {!isNew && (
+          {!isNew && !guest && !entry.branch && (
             <button
               type="button"
               onClick={onDelete}
@@ -489,3 +1066,26 @@ function PostEditor({
     </form>
   );
 }
+
+function ModeButton({
+  active,
+  onClick,
+  children,
+}: {
+  active: boolean;
+  onClick: () => void;
+  children: React.ReactNode;
+}) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      aria-pressed={active}
+      className={`px-3 py-1 rounded-md transition-colors ${
+        active ? 'bg-stone-900 text-white' : 'text-stone-600 hover:bg-stone-100'
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
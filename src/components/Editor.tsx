@@ -1,31 +1,83 @@
 import { useEditor, EditorContent, BubbleMenu } from '@tiptap/react';
-import StarterKit from '@tiptap/starter-kit';
 import Placeholder from '@tiptap/extension-placeholder';
+import type { EditorView } from '@tiptap/pm/view';
 import { useEffect, useRef, useState } from 'react';
+import type { ImageFile } from '../lib/backend';
+import { displayUrl, suggestAlt, type ImageLibrary } from '../lib/images';
+import { Image, markdownExtensions, parseMarkdown, serializeMarkdown } from '../lib/markdown';
+import { MediaLibrary } from './MediaLibrary';
+import { FaceBlurReview } from './face-blur/review-dialog';
 
 interface EditorProps {
   initialContent: string;
   onChange: (markdown: string) => void;
+  /**
+   * Where pasted, dropped and picked images go; without it, images can't be
+   * added. New images go through face-blur review first.
+   */
+  images?: ImageLibrary;
 }
 
-export function Editor({ initialContent, onChange }: EditorProps) {
+// Alt text for an image about to go in, or null to leave it out
+function askAlt(name: string): string | null {
+  return prompt(`Alt text for ${name}, for readers who can't see it:`, suggestAlt(name));
+}
+
+function insertImage(view: EditorView, pos: number, image: ImageFile, alt: string) {
+  const { state } = view;
+  const node = state.schema.nodes.image.create({ src: image.url, alt: alt || null });
+  view.dispatch(state.tr.insert(Math.min(pos, state.doc.content.size), node));
+}
+
+export function Editor({ initialContent, onChange, images }: EditorProps) {
   const isInitialized = useRef(false);
   const [showSlashMenu, setShowSlashMenu] = useState(false);
   const [slashMenuPos, setSlashMenuPos] = useState({ top: 0, left: 0 });
   const [slashFilter, setSlashFilter] = useState('');
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [preparing, setPreparing] = useState(0);
+  // New images waiting on face-blur review, and where they'll go
+  const [review, setReview] = useState<{ files: File[]; pos: number } | null>(null);
+  // The editor's handlers are set up once, so they read the library from here
+  const imagesRef = useRef(images);
+  imagesRef.current = images;
+
+  // Review the image files among `files` for insertion at `pos`. Returns
+  // whether there were any, so a paste or drop of other things goes ahead.
+  const addImages = (files: FileList | File[] | undefined, pos: number): boolean => {
+    const imageFiles = Array.from(files ?? []).filter((file) => file.type.startsWith('image/'));
+    if (!imagesRef.current || imageFiles.length === 0) return false;
+    setReview({ files: imageFiles, pos });
+    return true;
+  };
+
+  // Prepare reviewed images and insert them where they were dropped. They're
+  // committed when the entry is saved.
+  const insertImages = async (files: File[], pos: number) => {
+    setReview(null);
+    for (const file of files) {
+      const alt = askAlt(file.name);
+      if (alt === null || !editor || !images) continue;
+      setPreparing((n) => n + 1);
+      try {
+        insertImage(editor.view, pos++, await images.add(file), alt);
+      } catch (e) {
+        alert(`Couldn't add ${file.name}: ${e instanceof Error ? e.message : e}`);
+      } finally {
+        setPreparing((n) => n - 1);
+      }
+    }
+  };
 
   const editor = useEditor({
     extensions: [
-      StarterKit.configure({
-        heading: {
-          levels: [1, 2, 3],
-        },
-      }),
+      // New images show from memory until they're committed and the site is rebuilt
+      ...markdownExtensions.map((extension) => (extension === Image ? Image.configure({ displayUrl }) : extension)),
       Placeholder.configure({
         placeholder: "Start writing, or press '/' for commands...",
       }),
     ],
-    content: markdownToHtml(initialContent),
+    content: parseMarkdown(initialContent).toJSON(),
     editorProps: {
       attributes: {
         class: 'novel-editor prose prose-stone max-w-none min-h-[400px] p-6 focus:outline-none',
@@ -55,17 +107,22 @@ export function Editor({ initialContent, onChange }: EditorProps) {
         }
         return false;
       },
+      handlePaste: (view, event) => addImages(event.clipboardData?.files, view.state.selection.from),
+      handleDrop: (view, event, _slice, moved) => {
+        if (moved) return false;
+        const pos = view.posAtCoords({ left: event.clientX, top: event.clientY })?.pos;
+        return addImages(event.dataTransfer?.files, pos ?? view.state.selection.from);
+      },
     },
     onUpdate: ({ editor }) => {
-      const markdown = htmlToMarkdown(editor.getHTML());
-      onChange(markdown);
+      onChange(serializeMarkdown(editor.state.doc));
     },
   });
 
   // Set initial content only once
   useEffect(() => {
     if (editor && !isInitialized.current && initialContent) {
-      editor.commands.setContent(markdownToHtml(initialContent));
+      editor.commands.setContent(parseMarkdown(initialContent).toJSON());
       isInitialized.current = true;
     }
   }, [editor, initialContent]);
@@ -100,8 +157,18 @@ export function Editor({ initialContent, onChange }: EditorProps) {
     { label: 'Quote', icon: '"', command: () => editor?.chain().focus().toggleBlockquote().run() },
     { label: 'Code Block', icon: '{ }', command: () => editor?.chain().focus().toggleCodeBlock().run() },
     { label: 'Divider', icon: '—', command: () => editor?.chain().focus().setHorizontalRule().run() },
+    ...(images ? [{ label: 'Image', icon: '▣', command: () => setShowLibrary(true) }] : []),
   ];
 
+  const pickImage = (image: ImageFile) => {
+    setShowLibrary(false);
+    const alt = askAlt(image.name);
+    if (editor && alt !== null) {
+      insertImage(editor.view, editor.state.selection.from, image, alt);
+      editor.commands.focus();
+    }
+  };
+
   const filteredCommands = slashCommands.filter(cmd =>
     cmd.label.toLowerCase().includes(slashFilter.toLowerCase())
   );
@@ -167,6 +234,32 @@ export function Editor({ initialContent, onChange }: EditorProps) {
         </div>
       )}
 
+      {preparing > 0 && (
+        <div className="absolute top-2 right-2 z-10 px-3 py-1 bg-stone-900 text-white text-xs rounded-md">
+          Preparing {preparing === 1 ? 'image' : `${preparing} images`}...
+        </div>
+      )}
+
+      {showLibrary && images && (
+        <MediaLibrary
+          images={images}
+          onPick={pickImage}
+          onUpload={(files) => {
+            setShowLibrary(false);
+            addImages(files, editor.state.selection.from);
+          }}
+          onClose={() => setShowLibrary(false)}
+        />
+      )}
+
+      {review && (
+        <FaceBlurReview
+          files={review.files}
+          onConfirm={(files: File[]) => insertImages(files, review.pos)}
+          onCancel={() => setReview(null)}
+        />
+      )}
+
       {/* Editor content */}
       <EditorContent editor={editor} />
 
@@ -182,6 +275,10 @@ export function Editor({ initialContent, onChange }: EditorProps) {
         .novel-editor pre { background: #292524; color: #fafaf9; padding: 1em; border-radius: 6px; margin: 1em 0; overflow-x: auto; }
         .novel-editor pre code { background: none; padding: 0; color: inherit; }
         .novel-editor hr { border: none; border-top: 1px solid #e7e5e4; margin: 2em 0; }
+        .novel-editor a { color: #44403c; text-decoration: underline; }
+        .novel-editor img { max-width: 100%; border-radius: 6px; }
+        .novel-editor pre[data-html-block] { background: #f5f5f4; color: #57534e; font-size: 0.85em; white-space: pre-wrap; }
+        .novel-editor code[data-html-inline] { color: #78716c; }
         .novel-editor .ProseMirror-focused { outline: none; }
         .novel-editor p.is-editor-empty:first-child::before {
           content: attr(data-placeholder);
@@ -216,124 +313,3 @@ function BubbleButton({
     </button>
   );
 }
-
-// Simple markdown to HTML converter (for display)
-function markdownToHtml(markdown: string): string {
-  if (!markdown) return '<p></p>';
-
-  let html = markdown
-    // Code blocks (before other processing)
-    .replace(/```(\w*)\n([\s\S]*?)```/g, '<pre><code>$2</code></pre>')
-    // Inline code
-    .replace(/`([^`]+)`/g, '<code>$1</code>')
-    // Headings
-    .replace(/^### (.+)$/gm, '<h3>$1</h3>')
-    .replace(/^## (.+)$/gm, '<h2>$1</h2>')
-    .replace(/^# (.+)$/gm, '<h1>$1</h1>')
-    // Bold
-    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-    // Italic
-    .replace(/\*([^*]+)\*/g, '<em>$1</em>')
-    // Strikethrough
-    .replace(/~~([^~]+)~~/g, '<s>$1</s>')
-    // Blockquotes
-    .replace(/^> (.+)$/gm, '<blockquote>$1</blockquote>')
-    // Horizontal rules
-    .replace(/^---$/gm, '<hr>')
-    // Unordered lists
-    .replace(/^- (.+)$/gm, '<li>$1</li>')
-    // Ordered lists
-    .replace(/^\d+\. (.+)$/gm, '<li>$1</li>')
-    // Paragraphs (wrap remaining lines)
-    .split('\n\n')
-    .map((block) => {
-      if (
-        block.startsWith('<h') ||
-        block.startsWith('<pre') ||
-        block.startsWith('<blockquote') ||
-        block.startsWith('<hr') ||
-        block.startsWith('<li')
-      ) {
-        return block;
-      }
-      if (block.trim()) {
-        return `<p>${block.replace(/\n/g, '<br>')}</p>`;
-      }
-      return '';
-    })
-    .join('');
-
-  // Wrap consecutive li elements in ul/ol
-  html = html.replace(/(<li>.*?<\/li>)+/g, '<ul>$&</ul>');
-
-  return html || '<p></p>';
-}
-
-// HTML to markdown converter (for saving)
-function htmlToMarkdown(html: string): string {
-  const div = document.createElement('div');
-  div.innerHTML = html;
-
-  function processNode(node: Node): string {
-    if (node.nodeType === Node.TEXT_NODE) {
-      return node.textContent || '';
-    }
-
-    if (node.nodeType !== Node.ELEMENT_NODE) {
-      return '';
-    }
-
-    const el = node as HTMLElement;
-    const tag = el.tagName.toLowerCase();
-    const children = Array.from(el.childNodes).map(processNode).join('');
-
-    switch (tag) {
-      case 'h1':
-        return `# ${children}\n\n`;
-      case 'h2':
-        return `## ${children}\n\n`;
-      case 'h3':
-        return `### ${children}\n\n`;
-      case 'p':
-        return `${children}\n\n`;
-      case 'strong':
-        return `**${children}**`;
-      case 'em':
-        return `*${children}*`;
-      case 's':
-        return `~~${children}~~`;
-      case 'code':
-        if (el.parentElement?.tagName.toLowerCase() === 'pre') {
-          return children;
-        }
-        return `\`${children}\``;
-      case 'pre':
-        return `\`\`\`\n${children}\`\`\`\n\n`;
-      case 'blockquote':
-        return children
-          .split('\n')
-          .filter((line) => line.trim())
-          .map((line) => `> ${line}`)
-          .join('\n') + '\n\n';
-      case 'ul':
-        return children;
-      case 'ol':
-        return children;
-      case 'li':
-        const parent = el.parentElement?.tagName.toLowerCase();
-        if (parent === 'ol') {
-          const index = Array.from(el.parentElement!.children).indexOf(el) + 1;
-          return `${index}. ${children.trim()}\n`;
-        }
-        return `- ${children.trim()}\n`;
-      case 'hr':
-        return '---\n\n';
-      case 'br':
-        return '\n';
-      default:
-        return children;
-    }
-  }
-
-  return processNode(div).trim();
-}
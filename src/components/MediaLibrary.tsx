@@ -0,0 +1,105 @@
+import { useEffect, useState } from 'react';
+import type { ImageFile } from '../lib/backend';
+import { displayUrl, type ImageLibrary } from '../lib/images';
+
+interface MediaLibraryProps {
+  images: ImageLibrary;
+  onPick: (image: ImageFile) => void;
+  /** New images to review and add */
+  onUpload: (files: File[]) => void;
+  onClose: () => void;
+}
+
+// Images already in the repo or added since, to reuse one, or upload a new one
+// from a device without drag and drop
+export function MediaLibrary({ images, onPick, onUpload, onClose }: MediaLibraryProps) {
+  const [files, setFiles] = useState<ImageFile[] | null>(null);
+  const [filter, setFilter] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    images.list()
+      .then((list) => setFiles(list))
+      .catch((e) => setError(e instanceof Error ? e.message : String(e)));
+  }, [images]);
+
+  useEffect(() => {
+    const handleKey = (e: KeyboardEvent) => e.key === 'Escape' && onClose();
+    document.addEventListener('keydown', handleKey);
+    return () => document.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const shown = files?.filter((f) => f.name.toLowerCase().includes(filter.toLowerCase()));
+
+  return (
+    <div
+      className="fixed inset-0 z-50 bg-stone-900/40 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-label="Images"
+        className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[80vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center gap-3 border-b border-stone-200 px-4 py-3">
+          <h2 className="font-medium">Images</h2>
+          <input
+            type="search"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Filter"
+            className="flex-1 min-w-0 px-3 py-1.5 border border-stone-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-stone-400"
+          />
+          <label className="px-3 py-1.5 bg-stone-900 text-white rounded-md text-sm cursor-pointer hover:bg-stone-800">
+            Upload
+            <input
+              type="file"
+              accept="image/*"
+              multiple
+              className="hidden"
+              onChange={(e) => e.target.files?.length && onUpload(Array.from(e.target.files))}
+            />
+          </label>
+          <button type="button" onClick={onClose} className="text-stone-500 hover:text-stone-800 text-sm">
+            Close
+          </button>
+        </div>
+
+        {error && <div className="px-4 py-2 bg-red-50 text-sm text-red-700">{error}</div>}
+
+        <div className="overflow-y-auto p-4">
+          {!shown ? (
+            !error && <p className="text-stone-400 text-sm">Loading images...</p>
+          ) : shown.length === 0 ? (
+            <p className="text-stone-400 text-sm">{files!.length ? 'No images match.' : 'No images yet.'}</p>
+          ) : (
+            <div className="grid grid-cols-3 sm:grid-cols-4 gap-3">
+              {shown.map((image) => (
+                <button
+                  key={image.path}
+                  type="button"
+                  onClick={() => onPick(image)}
+                  className="text-left rounded-md p-1 hover:bg-stone-100 focus:outline-none focus:ring-2 focus:ring-stone-400"
+                >
+                  <img
+                    src={displayUrl(image.url)}
+                    alt=""
+                    loading="lazy"
+                    className="w-full aspect-square object-cover rounded bg-stone-100"
+                  />
+                  <span className="block mt-1 text-xs text-stone-600 truncate">{image.name}</span>
+                  {image.pending && (
+                    <span className="block text-xs text-amber-700" title="Committed with the next save that uses it">
+                      Not saved yet
+                    </span>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
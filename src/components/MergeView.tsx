@@ -0,0 +1,140 @@
+import { useMemo, useState } from 'react';
+import { merge3 } from '../lib/merge';
+
+interface MergeViewProps {
+  /** Forge name, e.g. GitHub */
+  forge: string;
+  /** The file as it was when editing started */
+  base: string;
+  /** The file as edited here */
+  mine: string;
+  /** The file as it is on the forge now */
+  theirs: string;
+  /** Continue editing from the merged file */
+  onResolve: (merged: string) => void;
+  onCancel: () => void;
+}
+
+type Choice = 'mine' | 'theirs' | 'both';
+
+// Unchanged stretches longer than this are folded to their first and last lines
+const CONTEXT = 3;
+
+function Lines({ lines, className = '' }: { lines: string[]; className?: string }) {
+  return (
+    <pre className={`px-3 py-2 text-xs font-mono whitespace-pre-wrap break-words min-h-[2rem] ${className}`}>
+      {lines.join('')}
+    </pre>
+  );
+}
+
+function Unchanged({ lines }: { lines: string[] }) {
+  if (lines.length <= CONTEXT * 2 + 1) return <Lines lines={lines} className="text-stone-500" />;
+  return (
+    <>
+      <Lines lines={lines.slice(0, CONTEXT)} className="text-stone-500" />
+      <p className="px-3 text-xs text-stone-400">{lines.length - CONTEXT * 2} lines combined or unchanged</p>
+      <Lines lines={lines.slice(-CONTEXT)} className="text-stone-500" />
+    </>
+  );
+}
+
+// Shown instead of saving when the entry changed on the forge after it was
+// opened. Edits to different lines are combined (see ../lib/merge); for each
+// conflict, the original lines sit beside both edits to pick from. The result
+// goes back into the editor to review before saving.
+export function MergeView({ forge, base, mine, theirs, onResolve, onCancel }: MergeViewProps) {
+  const chunks = useMemo(() => merge3(base, mine, theirs), [base, mine, theirs]);
+  const [choices, setChoices] = useState<Record<number, Choice>>({});
+  const conflicts = chunks.filter((chunk) => 'conflict' in chunk).length;
+  const unresolved = conflicts - Object.keys(choices).length;
+
+  const merged = () =>
+    chunks
+      .map((chunk, i) => {
+        if ('lines' in chunk) return chunk.lines.join('');
+        const { mine, theirs } = chunk.conflict;
+        const choice = choices[i];
+        return [...(choice !== 'theirs' ? mine : []), ...(choice !== 'mine' ? theirs : [])].join('');
+      })
+      .join('');
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-amber-50 border border-amber-200 rounded-lg px-4 py-3 text-sm text-amber-900">
+        <p className="font-medium">This changed on {forge} since you started editing.</p>
+        <p className="mt-1">
+          {conflicts === 0
+            ? `Your edits and those on ${forge} touch different lines and have been combined.`
+            : `Edits that don't overlap have been combined. ${conflicts === 1 ? 'One place was' : `${conflicts} places were`} edited on both sides; choose what to keep in each.`}{' '}
+          Nothing is saved until you review the result and save it.
+        </p>
+      </div>
+
+      <div className="bg-white border border-stone-200 rounded-lg overflow-hidden divide-y divide-stone-200">
+        {chunks.map((chunk, i) => {
+          if ('lines' in chunk) return <Unchanged key={i} lines={chunk.lines} />;
+          const { conflict } = chunk;
+          const choice = choices[i];
+          const pick = (value: Choice) => setChoices((c) => ({ ...c, [i]: value }));
+          return (
+            <div key={i} className="bg-stone-50">
+              <div className="grid grid-cols-3 divide-x divide-stone-200 text-xs font-medium text-stone-600 border-b border-stone-200">
+                <span className="px-3 py-1.5">Original</span>
+                <span className="px-3 py-1.5">Yours</span>
+                <span className="px-3 py-1.5">On {forge}</span>
+              </div>
+              <div className="grid grid-cols-3 divide-x divide-stone-200">
+                <Lines lines={conflict.base} className="text-stone-500" />
+                <Lines lines={conflict.mine} className={choice && choice !== 'theirs' ? 'bg-green-50' : ''} />
+                <Lines lines={conflict.theirs} className={choice && choice !== 'mine' ? 'bg-green-50' : ''} />
+              </div>
+              <div className="flex gap-1 px-2 py-1.5 text-sm border-t border-stone-200">
+                <ChoiceButton active={choice === 'mine'} onClick={() => pick('mine')}>Keep yours</ChoiceButton>
+                <ChoiceButton active={choice === 'theirs'} onClick={() => pick('theirs')}>Keep {forge}'s</ChoiceButton>
+                <ChoiceButton active={choice === 'both'} onClick={() => pick('both')}>Keep both</ChoiceButton>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          disabled={unresolved > 0}
+          onClick={() => onResolve(merged())}
+          className="px-4 py-2 bg-stone-900 text-white rounded-lg hover:bg-stone-800 transition-colors disabled:opacity-50"
+        >
+          {unresolved > 0 ? `${unresolved} left to resolve` : 'Review merged version'}
+        </button>
+        <button type="button" onClick={onCancel} className="px-4 py-2 text-stone-600 hover:text-stone-800">
+          Back to my version
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ChoiceButton({
+  active,
+  onClick,
+  children,
+}: {
+  active: boolean;
+  onClick: () => void;
+  children: React.ReactNode;
+}) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      aria-pressed={active}
+      className={`px-3 py-1 rounded-md transition-colors ${
+        active ? 'bg-stone-900 text-white' : 'text-stone-600 hover:bg-stone-100'
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
@@ -0,0 +1,125 @@
+import { useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import type { MarkdownProcessor } from '@astrojs/markdown-remark';
+import type { Frontmatter } from '../lib/backend';
+import { displayUrl } from '../lib/images';
+import { markdownOptions } from '../lib/markdown-options';
+import siteStyles from '../styles/global.css?url';
+
+interface PreviewProps {
+  frontmatter: Frontmatter;
+  body: string;
+}
+
+// The page around a post, as src/layouts/Base.astro lays it out, with the
+// styles scoped to src/pages/[slug].astro. Links open in a new tab.
+const FRAME = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<base target="_blank">
+<link rel="stylesheet" href="${siteStyles}">
+<style>.post .meta .updated { color: var(--text-secondary); }</style>
+</head>
+<body><main class="container" id="preview"></main></body>
+</html>`;
+
+let processor: Promise<MarkdownProcessor> | undefined;
+
+// Astro's own markdown pipeline, loaded the first time it's needed since
+// Shiki comes with it, with the posts' grammars (../lib/preview-shiki.js)
+async function renderMarkdown(markdown: string): Promise<string> {
+  processor ??= import('@astrojs/markdown-remark').then(({ createMarkdownProcessor }) =>
+    createMarkdownProcessor(markdownOptions)
+  );
+  const { code } = await (await processor).render(markdown);
+  return code;
+}
+
+// Images uploaded this session aren't on the site yet
+function showUploads(html: string): string {
+  return html.replace(/(<img\b[^>]*?\ssrc=")([^"]*)"/g, (_, start, src) => `${start}${displayUrl(src)}"`);
+}
+
+// As the site formats them: frontmatter dates are midnight UTC
+function PostDate({ value }: { value: string }) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return <>{value}</>;
+  return (
+    <time dateTime={date.toISOString()}>
+      {date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })}
+    </time>
+  );
+}
+
+// The entry as its page will show it, updated as it's edited. The page is a
+// sandboxed frame so the site's styles and the post's own HTML stay out of
+// the admin; scripts in the post don't run.
+export function Preview({ frontmatter, body }: PreviewProps) {
+  const [root, setRoot] = useState<HTMLElement | null>(null);
+  const [html, setHtml] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let current = true;
+    const timer = setTimeout(() => {
+      renderMarkdown(body)
+        .then((code) => {
+          if (!current) return;
+          setHtml(code);
+          setError(null);
+        })
+        .catch((e) => current && setError(e instanceof Error ? e.message : String(e)));
+    }, 150);
+    return () => {
+      current = false;
+      clearTimeout(timer);
+    };
+  }, [body]);
+
+  const { title, date, updated } = frontmatter;
+  const tags = Array.isArray(frontmatter.tags) ? frontmatter.tags.map(String) : [];
+
+  return (
+    <div className="bg-white border border-stone-200 rounded-lg overflow-hidden">
+      {error && (
+        <div className="px-4 py-2 border-b border-red-200 bg-red-50 text-sm text-red-700">
+          Couldn't render the preview: {error}
+        </div>
+      )}
+      <iframe
+        title="Preview"
+        srcDoc={FRAME}
+        sandbox="allow-same-origin allow-popups allow-popups-to-escape-sandbox"
+        onLoad={(e) => setRoot(e.currentTarget.contentDocument?.getElementById('preview') ?? null)}
+        className="block w-full h-[calc(100vh-4rem)]"
+      />
+      {root && createPortal(
+        <article className="post">
+          <header className="post-header">
+            <h1>{String(title ?? '')}</h1>
+            {typeof date === 'string' && (
+              <p className="meta">
+                <PostDate value={date} />
+                {typeof updated === 'string' && updated && (
+                  <span className="updated">
+                    {' '}· Updated <PostDate value={updated} />
+                  </span>
+                )}
+              </p>
+            )}
+            {tags.length > 0 && (
+              <div className="tags">
+                {tags.map((tag) => (
+                  <a key={tag} className="tag" href={`/tag/${tag}`}>{tag}</a>
+                ))}
+              </div>
+            )}
+          </header>
+          <div className="post-content" dangerouslySetInnerHTML={{ __html: showUploads(html) }} />
+        </article>,
+        root
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+import type { ReactNode } from 'react';
+import { parseFrontmatter } from '../lib/frontmatter';
+
+interface SourceEditorProps {
+  value: string;
+  onChange: (value: string) => void;
+  /** Frontmatter keys the form has fields for; others are marked in the gutter */
+  fields: string[];
+}
+
+const FRONTMATTER_KEY = /^([\w$][\w$.-]*)(\s*:)(.*)$/;
+const FENCE = /^\s{0,3}(`{3,}|~{3,})/;
+
+// Inline code, links, images, strong and emphasis, and HTML tags
+const INLINE = /(`+)[^`]+?\1|!?\[[^\]]*\]\([^)]*\)|\*\*[^*]+\*\*|__[^_]+__|(?<![\w*])\*[^*\s][^*]*\*|(?<![\w_])_[^_\s][^_]*_|<\/?[a-zA-Z][^>]*>/g;
+
+function inlineClass(token: string): string {
+  if (token.startsWith('`')) return 'text-rose-700';
+  if (token.startsWith('[') || token.startsWith('![')) return 'text-sky-700';
+  if (token.startsWith('<')) return 'text-violet-700';
+  return 'text-stone-950';
+}
+
+function highlightInline(text: string): ReactNode[] {
+  const parts: ReactNode[] = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE)) {
+    parts.push(text.slice(last, match.index));
+    parts.push(<span key={match.index} className={inlineClass(match[0])}>{match[0]}</span>);
+    last = match.index! + match[0].length;
+  }
+  parts.push(text.slice(last));
+  return parts;
+}
+
+// `delimiter` is a frontmatter `---`, `fence` a code fence
+type LineKind = 'delimiter' | 'frontmatter' | 'fence' | 'code' | 'text';
+
+// Colors only, never weight or size: the highlighted copy has to wrap exactly
+// like the textarea over it
+function highlightLine(line: string, kind: LineKind): ReactNode {
+  if (kind === 'delimiter' || kind === 'fence') return <span className="text-stone-400">{line}</span>;
+  if (kind === 'code') return <span className="text-stone-600">{line}</span>;
+  if (kind === 'frontmatter') {
+    const match = line.match(FRONTMATTER_KEY);
+    if (!match) return <span className="text-emerald-800">{line}</span>;
+    return (
+      <>
+        <span className="text-amber-800">{match[1]}</span>
+        <span className="text-stone-400">{match[2]}</span>
+        <span className="text-emerald-800">{match[3]}</span>
+      </>
+    );
+  }
+  const heading = line.match(/^#{1,6}\s.*$/);
+  if (heading) return <span className="text-sky-900">{line}</span>;
+  const marker = line.match(/^(\s*(?:>\s*)*(?:[-*+]|\d+[.)])?\s+)(.*)$/);
+  if (marker && /[>\-*+\d]/.test(marker[1])) {
+    return (
+      <>
+        <span className="text-amber-700">{marker[1]}</span>
+        {highlightInline(marker[2])}
+      </>
+    );
+  }
+  return highlightInline(line);
+}
+
+function lineKinds(lines: string[]): LineKind[] {
+  const kinds: LineKind[] = [];
+  let frontmatter = lines[0] === '---';
+  let fence: string | null = null;
+  lines.forEach((line, i) => {
+    if (frontmatter) {
+      kinds.push(line === '---' ? 'delimiter' : 'frontmatter');
+      if (i > 0 && line === '---') frontmatter = false;
+      return;
+    }
+    const open = line.match(FENCE);
+    if (fence) {
+      kinds.push(open && open[1].startsWith(fence) && !line.slice(open[0].length).trim() ? 'fence' : 'code');
+      if (kinds[i] === 'fence') fence = null;
+    } else if (open) {
+      kinds.push('fence');
+      fence = open[1];
+    } else {
+      kinds.push('text');
+    }
+  });
+  return kinds;
+}
+
+function frontmatterError(value: string): string | null {
+  try {
+    parseFrontmatter(value);
+    return null;
+  } catch (e) {
+    return e instanceof Error ? e.message : String(e);
+  }
+}
+
+// A textarea over a highlighted copy of its text. The copy draws the colors,
+// line numbers and gutter; the textarea, with transparent text, takes input.
+// Both wrap the same way, so each number stays beside its line.
+export function SourceEditor({ value, onChange, fields }: SourceEditorProps) {
+  const lines = value.split('\n');
+  const kinds = lineKinds(lines);
+  const error = frontmatterError(value);
+
+  function gutter(line: string, i: number): { mark?: string; title?: string; className: string } {
+    if (kinds[i] !== 'frontmatter' && kinds[i] !== 'delimiter') {
+      return { className: 'text-stone-400' };
+    }
+    const className = 'bg-amber-50 text-amber-700';
+    if (i === 0 && error) return { mark: '!', title: error, className: 'bg-red-50 text-red-700' };
+    const key = line.match(FRONTMATTER_KEY)?.[1];
+    if (key && !fields.includes(key)) {
+      return { mark: '•', title: `No form field for "${key}"; kept as written`, className };
+    }
+    return { className };
+  }
+
+  return (
+    <div className="relative font-mono text-sm leading-6">
+      <div className="py-3" aria-hidden="true">
+        {lines.map((line, i) => {
+          const { mark, title, className } = gutter(line, i);
+          return (
+            <div key={i} className="flex">
+              <span className={`w-12 shrink-0 pr-2 text-right select-none ${className}`} title={title}>
+                {mark && <span className="mr-1">{mark}</span>}
+                {i + 1}
+              </span>
+              <span className="flex-1 min-w-0 pl-3 pr-4 whitespace-pre-wrap break-words text-stone-800">
+                {line ? highlightLine(line, kinds[i]) : '\u200b'}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+      <textarea
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        spellCheck={false}
+        aria-label="Markdown source"
+        className="absolute inset-y-0 right-0 left-12 py-3 pl-3 pr-4 resize-none overflow-hidden bg-transparent text-transparent caret-stone-900 whitespace-pre-wrap break-words focus:outline-none"
+      />
+    </div>
+  );
+}
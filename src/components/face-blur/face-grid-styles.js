@@ -0,0 +1,124 @@
+// Styles for FaceGrid and PersonGrid, shared by the face blur tool and the
+// admin's review dialog. They use the site's CSS variables.
+export const FACE_GRID_STYLES = `
+/* Face Grid */
+.face-grid__empty {
+  padding: 2rem;
+  text-align: center;
+  background: var(--bg-secondary);
+  border-radius: 8px;
+  color: var(--text-secondary);
+}
+
+.face-grid__actions {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.5rem;
+  align-items: center;
+  margin-bottom: 1rem;
+}
+
+.face-grid__action {
+  padding: 0.4rem 0.75rem;
+  font-size: var(--size-sm);
+  background: var(--bg-secondary);
+  border: 1px solid var(--border);
+  border-radius: 6px;
+  cursor: pointer;
+  transition: border-color 0.2s;
+}
+
+.face-grid__action:hover {
+  border-color: var(--accent);
+}
+
+.face-grid__action--highlight {
+  background: color-mix(in srgb, var(--accent) 10%, var(--bg));
+  border-color: color-mix(in srgb, var(--accent) 30%, var(--border));
+}
+
+.face-grid__count {
+  margin-left: auto;
+  font-size: var(--size-sm);
+  color: var(--text-secondary);
+}
+
+.face-grid__grid {
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(120px, 1fr));
+  gap: 0.75rem;
+}
+
+.face-grid__item {
+  position: relative;
+  border: 2px solid var(--border);
+  border-radius: 8px;
+  overflow: hidden;
+  cursor: pointer;
+  transition: border-color 0.2s, box-shadow 0.2s;
+}
+
+.face-grid__item:hover {
+  border-color: var(--text-secondary);
+}
+
+.face-grid__item--selected {
+  border-color: var(--accent);
+  box-shadow: 0 0 0 2px color-mix(in srgb, var(--accent) 30%, transparent);
+}
+
+.face-grid__item--child {
+  background: color-mix(in srgb, #ffc107 15%, var(--bg));
+}
+
+.face-grid__checkbox {
+  position: absolute;
+  top: 6px;
+  left: 6px;
+  width: 18px;
+  height: 18px;
+  cursor: pointer;
+  accent-color: var(--accent);
+}
+
+.face-grid__thumb {
+  width: 100%;
+  height: 110px;
+  object-fit: cover;
+  display: block;
+}
+
+.face-grid__photo-count {
+  position: absolute;
+  top: 6px;
+  right: 6px;
+  background: rgba(0, 0, 0, 0.7);
+  color: white;
+  font-size: 0.65rem;
+  padding: 2px 6px;
+  border-radius: 4px;
+}
+
+.face-grid__meta {
+  padding: 0.5rem;
+  background: var(--bg-secondary);
+  text-align: center;
+}
+
+.face-grid__age {
+  font-size: 0.8rem;
+  color: var(--text-secondary);
+}
+
+.face-grid__child-badge {
+  display: inline-block;
+  margin-left: 0.25rem;
+  padding: 1px 4px;
+  background: #ffc107;
+  color: #000;
+  border-radius: 3px;
+  font-size: 0.65rem;
+  font-weight: 600;
+  text-transform: uppercase;
+}
+`;
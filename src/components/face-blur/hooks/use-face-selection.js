@@ -0,0 +1,47 @@
+import { useCallback, useMemo } from 'react';
+import { clusterFacesByPerson } from './use-face-detection';
+
+const unchanged = img => img;
+
+/**
+ * Which faces to blur across `images`, chosen by person: selecting a person
+ * selects their face in every photo. `images` may be null while faces are
+ * still being detected. `touch` is applied to each image a selection changes,
+ * e.g. to drop a blurred copy that's now out of date.
+ */
+export function useFaceSelection(images, setImages, touch = unchanged) {
+  const persons = useMemo(() => {
+    return clusterFacesByPerson((images || []).flatMap(img => img.faces));
+  }, [images]);
+
+  // Select exactly the faces `shouldSelect` returns true for
+  const selectFaces = useCallback((shouldSelect) => {
+    setImages(prev => prev.map(img => touch({
+      ...img,
+      faces: img.faces.map(face => ({ ...face, selected: shouldSelect(face) })),
+    })));
+  }, [setImages, touch]);
+
+  const togglePerson = useCallback((personId) => {
+    const person = persons.find(p => p.id === personId);
+    if (!person) return;
+    const faceIds = new Set(person.faceIds);
+    selectFaces(face => (faceIds.has(face.id) ? !person.selected : face.selected));
+  }, [persons, selectFaces]);
+
+  const toggleFace = useCallback((faceId) => {
+    const person = persons.find(p => p.faceIds.includes(faceId));
+    if (person) togglePerson(person.id);
+  }, [persons, togglePerson]);
+
+  const selectAll = useCallback(() => selectFaces(() => true), [selectFaces]);
+
+  const deselectAll = useCallback(() => selectFaces(() => false), [selectFaces]);
+
+  const selectChildren = useCallback(() => {
+    const childFaceIds = new Set(persons.filter(p => p.isChild).flatMap(p => p.faceIds));
+    selectFaces(face => childFaceIds.has(face.id));
+  }, [persons, selectFaces]);
+
+  return { persons, togglePerson, toggleFace, selectAll, deselectAll, selectChildren };
+}
@@ -1,15 +1,20 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
-import { useFaceDetection, clusterFacesByPerson } from './hooks/use-face-detection';
-import { loadImage, resizeForDetection, imageToCanvas, extractFaceThumbnail } from './utils/image-utils';
-import { applyBlurToFaces } from './utils/blur-utils';
+import { useFaceDetection } from './hooks/use-face-detection';
+import { useFaceSelection } from './hooks/use-face-selection';
+import { loadAndDetectFaces, pointerPosition, boxBetween, manualRegion, regionStyle } from './utils/image-utils';
+import { blurImage } from './utils/blur-utils';
 import { ImageSelector } from './image-selector';
 import { PersonGrid } from './person-grid';
+import { FACE_GRID_STYLES } from './face-grid-styles';
 
 const BLUR_TYPES = {
   gaussian: { label: 'Gaussian Blur', description: 'Smooth, natural-looking' },
   pixel: { label: 'Pixelation', description: 'Blocky mosaic effect' },
 };
 
+// A changed selection makes the blurred copy out of date
+const clearProcessed = img => ({ ...img, processed: null });
+
 export default function FaceBlurTool() {
   // State
   const [images, setImages] = useState([]); // { id, file, img, faces, manualRegions, processed }
@@ -36,21 +41,14 @@ export default function FaceBlurTool() {
     loadModels();
   }, [loadModels]);
 
-  // Flatten all faces across images (excluding manual regions for person clustering)
-  const allFaces = useMemo(() => {
-    return images.flatMap(img =>
-      img.faces.map(face => ({
-        ...face,
-        imageId: img.id,
-        imageName: img.file.name,
-      }))
-    );
-  }, [images]);
-
-  // Cluster faces into persons
-  const persons = useMemo(() => {
-    return clusterFacesByPerson(allFaces);
-  }, [allFaces]);
+  // Faces clustered into persons (manual regions aren't anyone's)
+  const {
+    persons,
+    togglePerson: togglePersonSelection,
+    selectAll: selectAllPersons,
+    deselectAll: deselectAllPersons,
+    selectChildren: selectChildrenOnly,
+  } = useFaceSelection(images, setImages, clearProcessed);
 
   // Get selected image
   const selectedImage = useMemo(() => {
@@ -74,29 +72,8 @@ export default function FaceBlurTool() {
       setProcessingStatus(`Detecting faces in ${file.name} (${i + 1}/${files.length})...`);
 
       try {
-        const img = await loadImage(file);
-        const { canvas: detectionCanvas, scale } = resizeForDetection(img);
-        const rawFaces = await detectFaces(detectionCanvas);
-
-        // Scale face boxes back to original image coordinates and extract thumbnails
-        const originalCanvas = imageToCanvas(img);
         const imageId = `img-${Date.now()}-${i}`;
-        const faces = rawFaces.map(face => ({
-          ...face,
-          imageId,
-          box: {
-            x: face.box.x / scale,
-            y: face.box.y / scale,
-            width: face.box.width / scale,
-            height: face.box.height / scale,
-          },
-          thumbnail: extractFaceThumbnail(originalCanvas, {
-            x: face.box.x / scale,
-            y: face.box.y / scale,
-            width: face.box.width / scale,
-            height: face.box.height / scale,
-          }),
-        }));
+        const { img, faces } = await loadAndDetectFaces(file, imageId, detectFaces);
 
         newImages.push({
           id: imageId,
@@ -120,55 +97,6 @@ export default function FaceBlurTool() {
     setProcessingStatus('');
   }, [modelsLoaded, detectFaces, selectedImageId]);
 
-  // Toggle person selection (selects/deselects all faces for that person)
-  const togglePersonSelection = useCallback((personId) => {
-    const person = persons.find(p => p.id === personId);
-    if (!person) return;
-
-    const newSelected = !person.selected;
-    const faceIdsToToggle = new Set(person.faceIds);
-
-    setImages(prev => prev.map(img => ({
-      ...img,
-      processed: null,
-      faces: img.faces.map(face =>
-        faceIdsToToggle.has(face.id) ? { ...face, selected: newSelected } : face
-      ),
-    })));
-  }, [persons]);
-
-  // Quick selection actions
-  const selectAllPersons = useCallback(() => {
-    setImages(prev => prev.map(img => ({
-      ...img,
-      processed: null,
-      faces: img.faces.map(face => ({ ...face, selected: true })),
-    })));
-  }, []);
-
-  const deselectAllPersons = useCallback(() => {
-    setImages(prev => prev.map(img => ({
-      ...img,
-      processed: null,
-      faces: img.faces.map(face => ({ ...face, selected: false })),
-    })));
-  }, []);
-
-  const selectChildrenOnly = useCallback(() => {
-    const childFaceIds = new Set(
-      persons.filter(p => p.isChild).flatMap(p => p.faceIds)
-    );
-
-    setImages(prev => prev.map(img => ({
-      ...img,
-      processed: null,
-      faces: img.faces.map(face => ({
-        ...face,
-        selected: childFaceIds.has(face.id),
-      })),
-    })));
-  }, [persons]);
-
   // Remove an image
   const removeImage = useCallback((imageId) => {
     setImages(prev => prev.filter(img => img.id !== imageId));
@@ -177,17 +105,6 @@ export default function FaceBlurTool() {
     }
   }, [selectedImageId, images]);
 
-  // Coordinate helper
-  const getCanvasCoordinates = useCallback((e, canvas, img) => {
-    const rect = canvas.getBoundingClientRect();
-    const scaleX = img.width / rect.width;
-    const scaleY = img.height / rect.height;
-    return {
-      x: (e.clientX - rect.left) * scaleX,
-      y: (e.clientY - rect.top) * scaleY,
-    };
-  }, []);
-
   // Remove a manual region
   const removeManualRegion = useCallback((imageId, regionId) => {
     setImages(prev => prev.map(img => {
@@ -205,17 +122,8 @@ export default function FaceBlurTool() {
     if (!draggingRef.current || !canvasRef.current) return;
 
     const drag = draggingRef.current;
-    const canvas = canvasRef.current;
-    const rect = canvas.getBoundingClientRect();
     const { action, corner, offset, element, imgWidth, imgHeight } = drag;
-
-    // Calculate coordinates relative to canvas
-    const scaleX = imgWidth / rect.width;
-    const scaleY = imgHeight / rect.height;
-    const coords = {
-      x: (e.clientX - rect.left) * scaleX,
-      y: (e.clientY - rect.top) * scaleY,
-    };
+    const coords = pointerPosition(e, canvasRef.current, { width: imgWidth, height: imgHeight });
 
     let box = { ...drag.currentBox };
 
@@ -246,10 +154,7 @@ export default function FaceBlurTool() {
     drag.currentBox = box;
 
     // Direct DOM update (smooth, bypasses React)
-    element.style.left = `${(box.x / imgWidth) * 100}%`;
-    element.style.top = `${(box.y / imgHeight) * 100}%`;
-    element.style.width = `${(box.width / imgWidth) * 100}%`;
-    element.style.height = `${(box.height / imgHeight) * 100}%`;
+    Object.assign(element.style, regionStyle(box, { width: imgWidth, height: imgHeight }));
   }, []);
 
   // Global mouse up handler for dragging (commits to React state)
@@ -299,14 +204,7 @@ export default function FaceBlurTool() {
     e.preventDefault();
     if (!selectedImage || !canvasRef.current) return;
 
-    const canvas = canvasRef.current;
-    const rect = canvas.getBoundingClientRect();
-    const scaleX = selectedImage.img.width / rect.width;
-    const scaleY = selectedImage.img.height / rect.height;
-    const coords = {
-      x: (e.clientX - rect.left) * scaleX,
-      y: (e.clientY - rect.top) * scaleY,
-    };
+    const coords = pointerPosition(e, canvasRef.current, selectedImage.img);
     // For resize/move handles, we need the parent region element, not the handle itself
     const element = e.currentTarget.parentElement;
 
@@ -344,11 +242,11 @@ export default function FaceBlurTool() {
     if (e.target !== canvasRef.current) return;
     if (draggingRef.current) return;
     if (!selectedImage || !canvasRef.current) return;
-    const coords = getCanvasCoordinates(e, canvasRef.current, selectedImage.img);
+    const coords = pointerPosition(e, canvasRef.current, selectedImage.img);
     setIsDrawing(true);
     setDrawStart(coords);
     setCurrentRect(null);
-  }, [selectedImage, getCanvasCoordinates]);
+  }, [selectedImage]);
 
   const handleCanvasMouseMove = useCallback((e) => {
     // Skip if dragging a region (handled by global listeners)
@@ -357,14 +255,9 @@ export default function FaceBlurTool() {
     if (!isDrawing || !drawStart || !selectedImage || !canvasRef.current) return;
     // Extra check: only update if mouse is over the canvas element itself
     if (e.target !== canvasRef.current) return;
-    const coords = getCanvasCoordinates(e, canvasRef.current, selectedImage.img);
-    setCurrentRect({
-      x: Math.min(drawStart.x, coords.x),
-      y: Math.min(drawStart.y, coords.y),
-      width: Math.abs(coords.x - drawStart.x),
-      height: Math.abs(coords.y - drawStart.y),
-    });
-  }, [isDrawing, drawStart, selectedImage, getCanvasCoordinates]);
+    const coords = pointerPosition(e, canvasRef.current, selectedImage.img);
+    setCurrentRect(boxBetween(drawStart, coords));
+  }, [isDrawing, drawStart, selectedImage]);
 
   const handleCanvasMouseUp = useCallback(() => {
     if (!isDrawing || !currentRect || !selectedImage) {
@@ -374,15 +267,9 @@ export default function FaceBlurTool() {
       return;
     }
 
-    // Only add region if it's reasonably sized (at least 20x20 pixels)
-    if (currentRect.width > 20 && currentRect.height > 20) {
-      const newRegion = {
-        id: `manual-${Date.now()}`,
-        box: currentRect,
-        selected: true,
-        isManual: true,
-      };
-
+    // Only add region if it's reasonably sized
+    const newRegion = manualRegion(currentRect);
+    if (newRegion) {
       setImages(prev => prev.map(img => {
         if (img.id !== selectedImage.id) return img;
         return {
@@ -407,17 +294,8 @@ export default function FaceBlurTool() {
       const imgData = images[i];
       setProcessingStatus(`Blurring faces in ${imgData.file.name} (${i + 1}/${images.length})...`);
 
-      // Create canvas from original image
-      const canvas = imageToCanvas(imgData.img);
-
-      // Combine faces and manual regions for blurring
-      const allRegions = [
-        ...imgData.faces,
-        ...(imgData.manualRegions || []),
-      ];
-
-      // Apply blur to selected regions
-      applyBlurToFaces(canvas, allRegions, blurType);
+      // Blur the selected faces and manual regions in a copy of the original
+      const canvas = blurImage(imgData, blurType);
 
       processedImages.push({
         ...imgData,
@@ -579,12 +457,7 @@ export default function FaceBlurTool() {
                     {currentRect && (
                       <div
                         className="face-blur__draw-rect"
-                        style={{
-                          left: `${(currentRect.x / selectedImage.img.width) * 100}%`,
-                          top: `${(currentRect.y / selectedImage.img.height) * 100}%`,
-                          width: `${(currentRect.width / selectedImage.img.width) * 100}%`,
-                          height: `${(currentRect.height / selectedImage.img.height) * 100}%`,
-                        }}
+                        style={regionStyle(currentRect, selectedImage.img)}
                       />
                     )}
                     {/* Show detected face regions */}
@@ -592,12 +465,7 @@ export default function FaceBlurTool() {
                       <div
                         key={face.id}
                         className={`face-blur__region face-blur__region--face ${face.selected ? 'face-blur__region--selected' : ''}`}
-                        style={{
-                          left: `${(face.box.x / selectedImage.img.width) * 100}%`,
-                          top: `${(face.box.y / selectedImage.img.height) * 100}%`,
-                          width: `${(face.box.width / selectedImage.img.width) * 100}%`,
-                          height: `${(face.box.height / selectedImage.img.height) * 100}%`,
-                        }}
+                        style={regionStyle(face.box, selectedImage.img)}
                       >
                         <span className="face-blur__region-label">~{face.age}y</span>
                         {/* Move handle (center area) */}
@@ -619,12 +487,7 @@ export default function FaceBlurTool() {
                       <div
                         key={region.id}
                         className="face-blur__region face-blur__region--manual face-blur__region--selected"
-                        style={{
-                          left: `${(region.box.x / selectedImage.img.width) * 100}%`,
-                          top: `${(region.box.y / selectedImage.img.height) * 100}%`,
-                          width: `${(region.box.width / selectedImage.img.width) * 100}%`,
-                          height: `${(region.box.height / selectedImage.img.height) * 100}%`,
-                        }}
+                        style={regionStyle(region.box, selectedImage.img)}
                       >
                         <button
                           type="button"
@@ -945,126 +808,7 @@ export default function FaceBlurTool() {
           margin-left: auto;
         }
 
-        /* Face Grid */
-        .face-grid__empty {
-          padding: 2rem;
-          text-align: center;
-          background: var(--bg-secondary);
-          border-radius: 8px;
-          color: var(--text-secondary);
-        }
-
-        .face-grid__actions {
-          display: flex;
-          flex-wrap: wrap;
-          gap: 0.5rem;
-          align-items: center;
-          margin-bottom: 1rem;
-        }
-
-        .face-grid__action {
-          padding: 0.4rem 0.75rem;
-          font-size: var(--size-sm);
-          background: var(--bg-secondary);
-          border: 1px solid var(--border);
-          border-radius: 6px;
-          cursor: pointer;
-          transition: border-color 0.2s;
-        }
-
-        .face-grid__action:hover {
-          border-color: var(--accent);
-        }
-
-        .face-grid__action--highlight {
-          background: color-mix(in srgb, var(--accent) 10%, var(--bg));
-          border-color: color-mix(in srgb, var(--accent) 30%, var(--border));
-        }
-
-        .face-grid__count {
-          margin-left: auto;
-          font-size: var(--size-sm);
-          color: var(--text-secondary);
-        }
-
-        .face-grid__grid {
-          display: grid;
-          grid-template-columns: repeat(auto-fill, minmax(120px, 1fr));
-          gap: 0.75rem;
-        }
-
-        .face-grid__item {
-          position: relative;
-          border: 2px solid var(--border);
-          border-radius: 8px;
-          overflow: hidden;
-          cursor: pointer;
-          transition: border-color 0.2s, box-shadow 0.2s;
-        }
-
-        .face-grid__item:hover {
-          border-color: var(--text-secondary);
-        }
-
-        .face-grid__item--selected {
-          border-color: var(--accent);
-          box-shadow: 0 0 0 2px color-mix(in srgb, var(--accent) 30%, transparent);
-        }
-
-        .face-grid__item--child {
-          background: color-mix(in srgb, #ffc107 15%, var(--bg));
-        }
-
-        .face-grid__checkbox {
-          position: absolute;
-          top: 6px;
-          left: 6px;
-          width: 18px;
-          height: 18px;
-          cursor: pointer;
-          accent-color: var(--accent);
-        }
-
-        .face-grid__thumb {
-          width: 100%;
-          height: 110px;
-          object-fit: cover;
-          display: block;
-        }
-
-        .face-grid__photo-count {
-          position: absolute;
-          top: 6px;
-          right: 6px;
-          background: rgba(0, 0, 0, 0.7);
-          color: white;
-          font-size: 0.65rem;
-          padding: 2px 6px;
-          border-radius: 4px;
-        }
-
-        .face-grid__meta {
-          padding: 0.5rem;
-          background: var(--bg-secondary);
-          text-align: center;
-        }
-
-        .face-grid__age {
-          font-size: 0.8rem;
-          color: var(--text-secondary);
-        }
-
-        .face-grid__child-badge {
-          display: inline-block;
-          margin-left: 0.25rem;
-          padding: 1px 4px;
-          background: #ffc107;
-          color: #000;
-          border-radius: 3px;
-          font-size: 0.65rem;
-          font-weight: 600;
-          text-transform: uppercase;
-        }
+        ${FACE_GRID_STYLES}
 
         /* Preview Section */
         .face-blur__preview-section {
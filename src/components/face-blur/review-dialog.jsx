@@ -0,0 +1,433 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useFaceDetection } from './hooks/use-face-detection';
+import { useFaceSelection } from './hooks/use-face-selection';
+import {
+  loadAndDetectFaces,
+  canvasToBlob,
+  pointerPosition,
+  boxBetween,
+  manualRegion,
+  regionStyle,
+} from './utils/image-utils';
+import { blurImage } from './utils/blur-utils';
+import { PersonGrid } from './person-grid';
+import { FACE_GRID_STYLES } from './face-grid-styles';
+
+/**
+ * Face review for photos about to be published, e.g. uploaded from the admin.
+ * Detects the faces in `files` and pre-selects those estimated under 18; the
+ * author can change the selection and draw regions the detector missed.
+ * Confirming blurs what's selected and calls onConfirm with the files to
+ * publish, in order. A file with nothing selected passes through untouched.
+ */
+export function FaceBlurReview({ files, onConfirm, onCancel }) {
+  const [images, setImages] = useState(null); // { id, file, img, faces, manualRegions }
+  const [status, setStatus] = useState('');
+  const [detectError, setDetectError] = useState(null);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [drawing, setDrawing] = useState(null); // { imageId, start, rect }
+  const photoRefs = useRef({});
+
+  const { modelsLoaded, loadingProgress, error, loadModels, detectFaces } = useFaceDetection();
+  const { persons, togglePerson, toggleFace, selectAll, deselectAll, selectChildren } =
+    useFaceSelection(images, setImages);
+
+  useEffect(() => {
+    loadModels();
+  }, [loadModels]);
+
+  // Detect faces in every file once the models are in
+  useEffect(() => {
+    if (!modelsLoaded) return;
+    let cancelled = false;
+
+    (async () => {
+      const detected = [];
+      for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        setStatus(`Detecting faces in ${file.name} (${i + 1}/${files.length})...`);
+        try {
+          const imageId = `img-${i}`;
+          const { img, faces } = await loadAndDetectFaces(file, imageId, detectFaces);
+          detected.push({ id: imageId, file, img, faces, manualRegions: [] });
+        } catch (err) {
+          if (!cancelled) setDetectError(`Couldn't check ${file.name} for faces: ${err.message}`);
+          return;
+        }
+      }
+      if (!cancelled) {
+        setImages(detected);
+        setStatus('');
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [modelsLoaded, files, detectFaces]);
+
+  // Drawing regions by hand, in image pixels
+  const handlePointerDown = (e, img) => {
+    if (e.target !== e.currentTarget && !e.target.classList.contains('face-review__image')) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const start = pointerPosition(e, photoRefs.current[img.id], img.img);
+    setDrawing({ imageId: img.id, start, rect: null });
+  };
+
+  const handlePointerMove = (e, img) => {
+    if (drawing?.imageId !== img.id) return;
+    const point = pointerPosition(e, photoRefs.current[img.id], img.img);
+    setDrawing({ ...drawing, rect: boxBetween(drawing.start, point) });
+  };
+
+  const handlePointerUp = (img) => {
+    const region = drawing?.imageId === img.id && manualRegion(drawing.rect);
+    setDrawing(null);
+    if (!region) return;
+    setImages(prev => prev.map(i => (i.id === img.id ? { ...i, manualRegions: [...i.manualRegions, region] } : i)));
+  };
+
+  const removeRegion = (imageId, regionId) => {
+    setImages(prev => prev.map(img => (
+      img.id === imageId ? { ...img, manualRegions: img.manualRegions.filter(r => r.id !== regionId) } : img
+    )));
+  };
+
+  const confirm = async () => {
+    setIsProcessing(true);
+    try {
+      const reviewed = [];
+      for (const image of images) {
+        if (![...image.faces, ...image.manualRegions].some(r => r.selected)) {
+          reviewed.push(image.file);
+          continue;
+        }
+        setStatus(`Blurring faces in ${image.file.name}...`);
+        // PNG and WebP keep transparency; anything else becomes JPEG
+        const type = image.file.type === 'image/png' || image.file.type === 'image/webp' ? image.file.type : 'image/jpeg';
+        const blob = await canvasToBlob(blurImage(image), type);
+        if (!blob) throw new Error(`Couldn't encode ${image.file.name}`);
+        reviewed.push(new File([blob], image.file.name, { type }));
+      }
+      setStatus('');
+      onConfirm(reviewed);
+    } catch (err) {
+      setStatus(`Couldn't blur faces: ${err.message}. Nothing was uploaded.`);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const selectedCount = (images || []).reduce(
+    (sum, img) => sum + img.faces.filter(f => f.selected).length + img.manualRegions.length,
+    0
+  );
+
+  return (
+    <div className="face-review" role="dialog" aria-label="Review faces">
+      <div className="face-review__panel">
+        <div className="face-review__header">
+          <h2>Review faces before uploading</h2>
+          <p>
+            Selected faces are blurred in what's uploaded. Faces estimated under 18 start
+            out selected. Drag on a photo to blur anything the detector missed.
+          </p>
+        </div>
+
+        <div className="face-review__body">
+          {error || detectError ? (
+            <div className="face-review__error">
+              <p>{error || detectError}</p>
+              <p>Images can't be uploaded until they've been checked for faces.</p>
+              {error && (
+                <button type="button" onClick={loadModels} className="face-review__btn">
+                  Retry
+                </button>
+              )}
+            </div>
+          ) : !modelsLoaded ? (
+            <div className="face-review__loading">
+              <p>Loading face detection models... {loadingProgress}%</p>
+              <div className="face-review__loading-bar">
+                <div className="face-review__loading-progress" style={{ width: `${loadingProgress}%` }} />
+              </div>
+              <p className="face-review__hint">First load downloads ~12MB of AI models</p>
+            </div>
+          ) : !images ? (
+            <p className="face-review__status">{status}</p>
+          ) : (
+            <>
+              <div className="face-review__photos">
+                {images.map(img => (
+                  <div
+                    key={img.id}
+                    ref={el => { photoRefs.current[img.id] = el; }}
+                    className="face-review__photo"
+                    onPointerDown={e => handlePointerDown(e, img)}
+                    onPointerMove={e => handlePointerMove(e, img)}
+                    onPointerUp={() => handlePointerUp(img)}
+                  >
+                    <img src={img.img.src} alt={img.file.name} className="face-review__image" draggable={false} />
+                    {img.faces.map(face => (
+                      <button
+                        key={face.id}
+                        type="button"
+                        className={`face-review__region ${face.selected ? 'face-review__region--selected' : ''}`}
+                        style={regionStyle(face.box, img.img)}
+                        onClick={() => toggleFace(face.id)}
+                        title={face.selected ? 'Blurred; click to keep' : 'Click to blur'}
+                      >
+                        <span className="face-review__label">~{face.age}y</span>
+                      </button>
+                    ))}
+                    {img.manualRegions.map(region => (
+                      <div
+                        key={region.id}
+                        className="face-review__region face-review__region--manual"
+                        style={regionStyle(region.box, img.img)}
+                      >
+                        <button
+                          type="button"
+                          className="face-review__remove"
+                          onClick={() => removeRegion(img.id, region.id)}
+                          aria-label="Remove region"
+                        >
+                          ×
+                        </button>
+                      </div>
+                    ))}
+                    {drawing?.imageId === img.id && drawing.rect && (
+                      <div className="face-review__region face-review__region--drawing" style={regionStyle(drawing.rect, img.img)} />
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              <PersonGrid
+                persons={persons}
+                onToggle={togglePerson}
+                onSelectAll={selectAll}
+                onDeselectAll={deselectAll}
+                onSelectChildren={selectChildren}
+              />
+              {status && <p className="face-review__status">{status}</p>}
+            </>
+          )}
+        </div>
+
+        <div className="face-review__footer">
+          <button type="button" onClick={onCancel} className="face-review__btn">
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={confirm}
+            disabled={!images || isProcessing}
+            className="face-review__btn face-review__btn--primary"
+          >
+            {isProcessing
+              ? 'Blurring...'
+              : selectedCount > 0
+                ? `Blur ${selectedCount} and upload`
+                : 'Upload without blurring'}
+          </button>
+        </div>
+      </div>
+
+      <style>{`
+        /* The site's variables, in the admin's palette */
+        .face-review {
+          --bg: #fff;
+          --bg-secondary: #f5f5f4;
+          --text: #1c1917;
+          --text-secondary: #57534e;
+          --border: #e7e5e4;
+          --accent: #1c1917;
+          --size-sm: 0.875rem;
+
+          position: fixed;
+          inset: 0;
+          z-index: 50;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          padding: 1rem;
+          background: rgba(28, 25, 23, 0.4);
+          color: var(--text);
+        }
+
+        .face-review__panel {
+          display: flex;
+          flex-direction: column;
+          width: 100%;
+          max-width: 56rem;
+          max-height: 90vh;
+          background: var(--bg);
+          border-radius: 8px;
+          box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1);
+        }
+
+        .face-review__header {
+          padding: 1rem 1.25rem;
+          border-bottom: 1px solid var(--border);
+        }
+
+        .face-review__header h2 {
+          margin: 0 0 0.25rem;
+          font-size: 1rem;
+          font-weight: 600;
+        }
+
+        .face-review__header p,
+        .face-review__hint,
+        .face-review__status {
+          margin: 0;
+          font-size: var(--size-sm);
+          color: var(--text-secondary);
+        }
+
+        .face-review__body {
+          overflow-y: auto;
+          padding: 1.25rem;
+        }
+
+        .face-review__loading {
+          text-align: center;
+          padding: 2rem 1rem;
+        }
+
+        .face-review__loading-bar {
+          max-width: 300px;
+          height: 8px;
+          margin: 1rem auto;
+          background: var(--border);
+          border-radius: 4px;
+          overflow: hidden;
+        }
+
+        .face-review__loading-progress {
+          height: 100%;
+          background: var(--accent);
+          transition: width 0.3s ease;
+        }
+
+        .face-review__error {
+          padding: 1rem;
+          background: #fef2f2;
+          color: #b91c1c;
+          border-radius: 8px;
+          font-size: var(--size-sm);
+        }
+
+        .face-review__error p {
+          margin: 0 0 0.5rem;
+        }
+
+        .face-review__photos {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(240px, 1fr));
+          gap: 1rem;
+          margin-bottom: 1.5rem;
+        }
+
+        .face-review__photo {
+          position: relative;
+          align-self: start;
+          cursor: crosshair;
+          touch-action: none;
+        }
+
+        .face-review__image {
+          display: block;
+          width: 100%;
+          height: auto;
+          border-radius: 6px;
+          user-select: none;
+        }
+
+        .face-review__region {
+          position: absolute;
+          padding: 0;
+          border: 2px solid rgba(255, 255, 255, 0.8);
+          background: transparent;
+          cursor: pointer;
+        }
+
+        .face-review__region--selected {
+          border-color: #ffc107;
+          background: rgba(255, 193, 7, 0.25);
+        }
+
+        .face-review__region--manual,
+        .face-review__region--drawing {
+          border: 2px dashed #ffc107;
+          background: rgba(255, 193, 7, 0.25);
+          cursor: default;
+        }
+
+        .face-review__region--drawing {
+          pointer-events: none;
+        }
+
+        .face-review__label {
+          position: absolute;
+          top: -18px;
+          left: -2px;
+          padding: 1px 5px;
+          background: rgba(0, 0, 0, 0.7);
+          color: white;
+          font-size: 0.65rem;
+          border-radius: 3px;
+          white-space: nowrap;
+        }
+
+        .face-review__remove {
+          position: absolute;
+          top: -9px;
+          right: -9px;
+          width: 18px;
+          height: 18px;
+          padding: 0;
+          border: none;
+          border-radius: 50%;
+          background: #dc2626;
+          color: white;
+          font-size: 12px;
+          line-height: 1;
+          cursor: pointer;
+        }
+
+        .face-review__footer {
+          display: flex;
+          justify-content: flex-end;
+          gap: 0.5rem;
+          padding: 0.75rem 1.25rem;
+          border-top: 1px solid var(--border);
+        }
+
+        .face-review__btn {
+          padding: 0.5rem 1rem;
+          font-size: var(--size-sm);
+          border: 1px solid var(--border);
+          border-radius: 8px;
+          background: var(--bg);
+          color: var(--text);
+          cursor: pointer;
+        }
+
+        .face-review__btn--primary {
+          background: var(--accent);
+          border-color: var(--accent);
+          color: white;
+        }
+
+        .face-review__btn--primary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        ${FACE_GRID_STYLES}
+      `}</style>
+    </div>
+  );
+}
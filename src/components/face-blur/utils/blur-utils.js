@@ -1,3 +1,5 @@
+import { imageToCanvas } from './image-utils';
+
 // Fixed blur intensity values
 const GAUSSIAN_BLUR_RADIUS = 30; // px
 const PIXEL_SIZE = 24; // px - larger blocks for better anonymization
@@ -110,3 +112,12 @@ export function applyBlurToFaces(canvas, faces, blurType = 'gaussian') {
 
   return canvas;
 }
+
+/**
+ * A copy of an image, as loaded by loadAndDetectFaces, with its selected faces
+ * and manual regions blurred
+ */
+export function blurImage(image, blurType = 'gaussian') {
+  const canvas = imageToCanvas(image.img);
+  return applyBlurToFaces(canvas, [...image.faces, ...(image.manualRegions || [])], blurType);
+}
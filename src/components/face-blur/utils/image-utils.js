@@ -1,6 +1,9 @@
 // Maximum dimension for detection (resize large images for performance)
 const MAX_DETECTION_SIZE = 1920;
 
+// Smallest region, in image pixels, that drawing by hand adds
+const MIN_REGION_SIZE = 20;
+
 /**
  * Load an image file into an Image element
  */
@@ -75,6 +78,84 @@ export function extractFaceThumbnail(canvas, box, padding = 20) {
   return thumbCanvas.toDataURL('image/jpeg', 0.8);
 }
 
+/**
+ * Load an image file and detect the faces in it, using detectFaces from
+ * useFaceDetection. Face boxes are in the original image's coordinates, and
+ * each face gets a thumbnail and the name of its image.
+ */
+export async function loadAndDetectFaces(file, imageId, detectFaces) {
+  const img = await loadImage(file);
+  const { canvas: detectionCanvas, scale } = resizeForDetection(img);
+  const rawFaces = await detectFaces(detectionCanvas);
+
+  // Scale face boxes back to original image coordinates and extract thumbnails
+  const originalCanvas = imageToCanvas(img);
+  const faces = rawFaces.map(face => {
+    const box = {
+      x: face.box.x / scale,
+      y: face.box.y / scale,
+      width: face.box.width / scale,
+      height: face.box.height / scale,
+    };
+    return {
+      ...face,
+      // Face ids only count within one detection
+      id: `${imageId}-${face.id}`,
+      imageId,
+      imageName: file.name,
+      box,
+      thumbnail: extractFaceThumbnail(originalCanvas, box),
+    };
+  });
+
+  return { img, faces };
+}
+
+/**
+ * Where a pointer event falls on `element`, which shows `img` scaled to fit,
+ * in image pixels clamped to the image
+ */
+export function pointerPosition(e, element, img) {
+  const rect = element.getBoundingClientRect();
+  return {
+    x: Math.max(0, Math.min(img.width, ((e.clientX - rect.left) / rect.width) * img.width)),
+    y: Math.max(0, Math.min(img.height, ((e.clientY - rect.top) / rect.height) * img.height)),
+  };
+}
+
+/**
+ * The box with corners at two points
+ */
+export function boxBetween(start, end) {
+  return {
+    x: Math.min(start.x, end.x),
+    y: Math.min(start.y, end.y),
+    width: Math.abs(end.x - start.x),
+    height: Math.abs(end.y - start.y),
+  };
+}
+
+/**
+ * A region drawn by hand over `box`, selected for blurring, or null if the
+ * box is too small to have been meant
+ */
+export function manualRegion(box) {
+  if (!box || box.width < MIN_REGION_SIZE || box.height < MIN_REGION_SIZE) return null;
+  return { id: `manual-${Date.now()}`, box, selected: true, isManual: true };
+}
+
+/**
+ * Position for an overlay on `box`, as percentages of the image it's in
+ */
+export function regionStyle(box, img) {
+  return {
+    left: `${(box.x / img.width) * 100}%`,
+    top: `${(box.y / img.height) * 100}%`,
+    width: `${(box.width / img.width) * 100}%`,
+    height: `${(box.height / img.height) * 100}%`,
+  };
+}
+
 /**
  * Convert canvas to downloadable blob URL
  */
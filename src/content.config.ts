@@ -1,6 +1,9 @@
 import { defineCollection, z } from 'astro:content';
 import { glob } from 'astro/loaders';
 
+// The admin builds its forms from these schemas (src/lib/schema-fields.ts);
+// `.describe()` sets a field's label there.
+
 const posts = defineCollection({
   loader: glob({ pattern: '**/*.md', base: './src/content/posts' }),
   schema: z.object({
@@ -8,8 +11,10 @@ const posts = defineCollection({
     description: z.string(),
     date: z.coerce.date(),
     updated: z.coerce.date().optional(),
-    draft: z.boolean().default(false),
+    draft: z.boolean().default(false).describe("Draft (won't appear on site)"),
     tags: z.array(z.string()).default([]),
+    // Former slugs; the middleware 301s them to the current one
+    aliases: z.array(z.string()).default([]).describe('Former slugs (redirect here)'),
   }),
 });
 
@@ -20,10 +25,19 @@ const projects = defineCollection({
     description: z.string(),
     date: z.coerce.date(),
     image: z.string().optional(),
-    link: z.string().optional(),
+    link: z.string().optional().describe('External link'),
     tags: z.array(z.string()).default([]),
-    featured: z.boolean().default(false),
+    featured: z.boolean().default(false).describe('Featured on the home page'),
+  }),
+});
+
+const links = defineCollection({
+  loader: glob({ pattern: '**/*.md', base: './src/content/links' }),
+  schema: z.object({
+    url: z.string().url().describe('Target URL'),
+    expires: z.coerce.date().optional(),
+    permanent: z.boolean().default(false).describe('Permanent (301)'),
   }),
 });
 
-export const collections = { posts, projects };
+export const collections = { posts, projects, links };
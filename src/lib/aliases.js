@@ -0,0 +1,63 @@
+// Former slugs of renamed entries, kept in a collection's aliasField so they
+// keep redirecting. The build refuses a path claimed twice, as one entry's
+// slug and another's alias (./blog-slugs.js), so the admin checks a new slug
+// against the deployed slug map before saving it. Plain JS so
+// scripts/smoke-test.mjs can check it.
+import { domainFor } from './domains.js';
+
+/** @typedef {import('./collections').CollectionConfig} CollectionConfig */
+
+/**
+ * Aliases after a rename from `from` to `to`: `from` added, and `to` dropped
+ * since it's no longer a former slug
+ * @param {unknown} aliases
+ * @param {string} from
+ * @param {string} to
+ * @returns {string[]}
+ */
+export function renameAliases(aliases, from, to) {
+  const current = Array.isArray(aliases) ? aliases.map(String) : [];
+  return [...current.filter((alias) => alias !== from && alias !== to), from];
+}
+
+// Slug maps by URL, fetched once per page load
+/** @type {Map<string, Promise<Record<string, string> | null>>} */
+const slugMaps = new Map();
+
+/**
+ * The slug map deployed for the collection's host (see ./domains), or null
+ * if it has none or it can't be loaded. Aliases saved since the last deploy
+ * aren't in it yet; the build still catches those.
+ * @param {CollectionConfig} collection
+ * @returns {Promise<Record<string, string> | null>}
+ */
+export function deployedSlugs(collection) {
+  const url = collection.aliasField && collection.host && domainFor(collection.host)?.slugs;
+  if (!url) return Promise.resolve(null);
+  let map = slugMaps.get(url);
+  if (!map) {
+    map = fetch(url)
+      .then((response) => (response.ok ? response.json() : null))
+      .catch(() => null)
+      .then((slugs) => {
+        // A failed load is tried again on the next save
+        if (!slugs) slugMaps.delete(url);
+        return slugs;
+      });
+    slugMaps.set(url, map);
+  }
+  return map;
+}
+
+/**
+ * The slug of the entry, other than `except`, that redirects from `slug`
+ * according to `slugs`, or null if none does
+ * @param {Record<string, string>} slugs Paths by the slug they lead to, as built by ./blog-slugs
+ * @param {string} slug
+ * @param {string} [except] The entry being saved, which may take back an alias of its own
+ * @returns {string | null}
+ */
+export function aliasOwner(slugs, slug, except) {
+  const owner = Object.hasOwn(slugs, slug) ? slugs[slug] : null;
+  return owner && owner !== slug && owner !== except ? owner : null;
+}
@@ -0,0 +1,164 @@
+// The admin reads and writes collection entries (posts, projects, ...; see
+// ./collections) through a GitBackend, so it doesn't care which forge hosts
+// the repo. GitHub and Gitea/Forgejo go through the OAuth
+// worker (workers/oauth), which holds the token and proxies their APIs; the
+// in-memory backend needs no network at all.
+import type { Collection } from './collections';
+import { createGitHubBackend } from './github';
+import { createGiteaBackend } from './gitea';
+
+export interface EntryFile {
+  slug: string;
+  path: string;
+  sha: string;
+}
+
+/** Frontmatter fields in file order; see ./frontmatter for the value types. */
+export type Frontmatter = Record<string, unknown>;
+
+export interface Entry {
+  slug: string;
+  path: string;
+  sha: string;
+  content: string;
+  frontmatter: Frontmatter;
+  body: string;
+  /** Branch it was read from, if not the default one */
+  branch?: string;
+}
+
+/** An image in public/images (see ./images). */
+export interface ImageFile {
+  name: string;
+  path: string;
+  /** Where the site serves it, as posts link to it, e.g. /images/dog.jpg */
+  url: string;
+  /** Added in the admin and not committed yet */
+  pending?: boolean;
+}
+
+/** An image to commit to public/images along with an entry. */
+export interface NewImage {
+  name: string;
+  data: Blob;
+}
+
+export interface SaveOptions {
+  /**
+   * The file as last written out in full, e.g. in the source editor; its
+   * frontmatter formatting is kept where the values still match. Updates
+   * default to the version being replaced.
+   */
+  original?: string;
+  /** Images the entry uses, committed with it */
+  images?: NewImage[];
+  /**
+   * Commit to this branch instead of the default one, branching it from the
+   * default one first if it doesn't exist. Maintainers only.
+   */
+  branch?: string;
+}
+
+export interface User {
+  login: string;
+  avatar_url: string;
+  /**
+   * Maintainers (MAINTAINERS in the worker's config) write to the repo
+   * directly; anyone else is a guest author whose posts arrive as pull
+   * requests from their fork.
+   */
+  role: 'maintainer' | 'guest';
+}
+
+/** A pull request for an entry: a guest's, or a maintainer's in review (see ./reviews). */
+export interface Submission {
+  number: number;
+  title: string;
+  url: string;
+  branch: string;
+  state: 'open' | 'merged' | 'closed';
+}
+
+export interface GitBackend {
+  /** Forge name for the UI, e.g. "GitHub" */
+  name: string;
+
+  /** The signed-in user, or null if there is no session. */
+  getSession(): Promise<User | null>;
+  /** Start signing in, e.g. in a popup. Completion is reported via onLogin. */
+  login(): void;
+  /** Call `listener` whenever a sign-in completes. Returns an unsubscribe function. */
+  onLogin(listener: () => void): () => void;
+  logout(): Promise<void>;
+
+  listEntries(collection: Collection): Promise<EntryFile[]>;
+  /** The entry as it is on `branch`, by default the default branch. */
+  getEntry(collection: Collection, slug: string, branch?: string): Promise<Entry>;
+  /**
+   * Commit a new entry, and its images, in one commit. For guests, commits
+   * it to a branch of their fork instead and opens a pull request, returned
+   * as `submission`; guests can't add images.
+   */
+  createEntry(
+    collection: Collection,
+    slug: string,
+    frontmatter: Frontmatter,
+    body: string,
+    options?: SaveOptions
+  ): Promise<{ sha: string; submission?: Submission }>;
+  /**
+   * Commit changes to the entry at `slug`, last seen as blob `sha`, with its
+   * images. Given `newSlug`, the same commit moves it there. Fails, changing
+   * nothing, if the entry has changed since or `newSlug` is taken.
+   */
+  updateEntry(
+    collection: Collection,
+    slug: string,
+    sha: string,
+    frontmatter: Frontmatter,
+    body: string,
+    options?: SaveOptions & { newSlug?: string }
+  ): Promise<{ sha: string }>;
+  deleteEntry(collection: Collection, slug: string, sha: string): Promise<void>;
+  /** The signed-in guest's pull requests, newest first. */
+  listSubmissions(): Promise<Submission[]>;
+
+  /**
+   * Pull requests from the repo's own branches whose names start with
+   * `prefix`, newest first. Maintainers only, as are the two below.
+   */
+  listPullRequests(prefix: string): Promise<Submission[]>;
+  /** Open a pull request from `branch` into the default branch, unless one is open already. */
+  openPullRequest(branch: string, title: string, body: string): Promise<Submission>;
+  /** Merge an open pull request from listPullRequests, and delete its branch. */
+  mergePullRequest(pull: Submission): Promise<void>;
+
+  /** Images already committed; new ones go in with an entry (SaveOptions) */
+  listImages(): Promise<ImageFile[]>;
+}
+
+export interface BackendConfig {
+  provider: 'github' | 'gitea';
+  /** OAuth worker, deployed with the matching PROVIDER */
+  authUrl: string;
+  owner: string;
+  repo: string;
+}
+
+// Configure these for your repo. For a self-hosted Gitea or Forgejo, set
+// provider: 'gitea' and point authUrl at a worker deployed for it.
+export const BACKEND_CONFIG: BackendConfig = {
+  provider: 'github',
+  authUrl: 'https://oauth.remoun.workers.dev',
+  owner: 'remoun',
+  repo: 'remoun-site',
+};
+
+export function createBackend(config: BackendConfig = BACKEND_CONFIG): GitBackend {
+  switch (config.provider) {
+    case 'github':
+      return createGitHubBackend(config);
+    case 'gitea':
+      return createGiteaBackend(config);
+  }
+}
@@ -0,0 +1,34 @@
+// The map behind /blog-slugs.json, which the middleware routes remoun.blog's
+// root-level paths by. Plain JS so scripts/smoke-test.mjs can check that a
+// path claimed twice fails the build.
+
+/**
+ * Every root-level blog path mapped to its canonical slug. Current post and
+ * tag slugs map to themselves; aliases map to the post they were renamed to.
+ * Throws if an alias is already a slug, a tag or another post's alias.
+ * @param {{ id: string, data: { tags: string[], aliases: string[] } }[]} posts Published posts
+ * @param {{ data: { tags: string[] } }[]} projects
+ * @returns {Record<string, string>}
+ */
+export function blogSlugs(posts, projects) {
+  /** @type {Record<string, string>} */
+  const slugs = {};
+  for (const post of posts) slugs[post.id] = post.id;
+
+  const tags = new Set([
+    ...posts.flatMap(p => p.data.tags),
+    ...projects.flatMap(p => p.data.tags),
+  ]);
+  for (const tag of tags) slugs[`tag/${tag}`] = `tag/${tag}`;
+
+  for (const post of posts) {
+    for (const alias of post.data.aliases) {
+      const from = alias.replace(/^\/|\/$/g, '');
+      if (Object.hasOwn(slugs, from)) {
+        throw new Error(`Alias "${alias}" of post "${post.id}" is already taken by "${slugs[from]}"`);
+      }
+      slugs[from] = post.id;
+    }
+  }
+  return slugs;
+}
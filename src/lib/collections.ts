@@ -0,0 +1,107 @@
+// Content collections the admin edits. The form fields come from each
+// collection's schema in src/content.config.ts (see ./schema-fields); this
+// only adds what a schema can't say: where the files live and how the admin
+// presents them.
+
+export interface Field {
+  name: string;
+  label: string;
+  widget: 'string' | 'date' | 'list' | 'boolean' | 'select';
+  required?: boolean;
+  /** Schema default, used for new entries. Required dates default to today. */
+  default?: string | boolean | string[];
+  /** Choices for a select */
+  options?: string[];
+}
+
+export interface CollectionConfig {
+  /** Key in src/content.config.ts's `collections` */
+  name: string;
+  /** Plural, for the switcher and list heading */
+  label: string;
+  /** Singular, for buttons and commit messages */
+  singular: string;
+  /** Folder in the repo, e.g. src/content/posts */
+  dir: string;
+  /** Whether entries have a markdown body to edit */
+  body: boolean;
+  /** Field the slug is generated from for new entries; without one it's typed in */
+  slugFrom?: string;
+  /** Label for the slug input */
+  slugLabel: string;
+  /** List field the site redirects from; renaming an entry adds its old slug */
+  aliasField?: string;
+  /** Date field stamped with today's date on save, unless edited by hand */
+  stampUpdated?: string;
+  /** Boolean field that keeps an entry off the site while it's true */
+  draftField?: string;
+  /**
+   * Where maintainers can save entries for review instead of publishing
+   * them: `post` for branches named post/<slug> (see ./reviews)
+   */
+  reviewBranch?: string;
+  /** Domain that serves each entry at /<slug>, for links to previews */
+  host?: string;
+  /** Whether guest authors may submit entries */
+  guests?: boolean;
+  /** Values for new entries that differ from the schema defaults */
+  defaults?: Record<string, unknown>;
+}
+
+export interface Collection extends CollectionConfig {
+  fields: Field[];
+}
+
+export const COLLECTIONS: CollectionConfig[] = [
+  {
+    name: 'posts',
+    label: 'Posts',
+    singular: 'post',
+    dir: 'src/content/posts',
+    body: true,
+    slugFrom: 'title',
+    slugLabel: 'Slug',
+    aliasField: 'aliases',
+    stampUpdated: 'updated',
+    draftField: 'draft',
+    reviewBranch: 'post',
+    host: 'remoun.blog',
+    guests: true,
+    // New posts start as drafts
+    defaults: { draft: true },
+  },
+  {
+    name: 'projects',
+    label: 'Projects',
+    singular: 'project',
+    dir: 'src/content/projects',
+    body: true,
+    slugFrom: 'title',
+    slugLabel: 'Slug',
+  },
+  {
+    name: 'links',
+    label: 'Short links',
+    singular: 'short link',
+    dir: 'src/content/links',
+    body: false,
+    slugLabel: 'Code (remoun.to/<code>)',
+  },
+];
+
+/** Frontmatter for a new entry, from the fields' defaults. */
+export function newFrontmatter(collection: Collection): Record<string, unknown> {
+  const today = new Date().toISOString().split('T')[0];
+  return Object.fromEntries(
+    collection.fields.map((field) => [
+      field.name,
+      collection.defaults?.[field.name] ??
+        field.default ??
+        (field.widget === 'date' && field.required ? today
+          : field.widget === 'list' ? []
+          : field.widget === 'boolean' ? false
+          : field.widget === 'select' && field.required ? field.options![0]
+          : ''),
+    ])
+  );
+}
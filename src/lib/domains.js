@@ -0,0 +1,93 @@
+// Routing table for the remoun.* domains, read by functions/_middleware.js.
+// Every domain is served from the same Pages build; this table says which
+// part of that build each host owns.
+//
+//   host     — hostname the rule applies to
+//   prefix   — path prefix the host owns in the shared build. Requests for it
+//              on any other host redirect here with the prefix stripped, and
+//              requests for it on this host canonicalize to the root version.
+//   index    — page served at `/`
+//   slugs    — build-time JSON map of root-level slugs the host serves to
+//              their canonical slug. Other hosts redirect these slugs here,
+//              and aliases redirect to the canonical slug.
+//   paths    — extra exact paths the host serves as-is (feeds, etc.)
+//   markdown — build-time directory of raw post markdown. `/<slug>.md`, or a
+//              slug requested with `Accept: text/markdown`, serves
+//              `<markdown>/<slug>.md` from it.
+//   links    — build-time JSON manifest of short codes the host redirects
+//   fallback — host that receives every other page request
+//   notFound — page served with a 404 status for paths the build doesn't have
+//              (defaults to NOT_FOUND)
+//   noindex  — keep the host out of search results: no sitemap, and an
+//              X-Robots-Tag header on every response
+//
+// A host with no entries here (previews, localhost) only gets the prefix
+// redirects.
+
+/** @typedef {{ host: string, prefix?: string, index?: string, slugs?: string, paths?: string[], markdown?: string, links?: string, fallback?: string, notFound?: string, noindex?: boolean }} Domain */
+
+/** Build-time list of every served path, written by integrations/route-manifest.mjs. */
+export const ROUTES = '/route-manifest.json';
+
+/** Default 404 page. */
+export const NOT_FOUND = '/404.html';
+
+/** @type {Domain[]} */
+export const DOMAINS = [
+  {
+    host: 'remoun.blog',
+    prefix: '/blog',
+    index: '/blog/',
+    slugs: '/blog-slugs.json',
+    paths: ['/rss.xml'],
+    markdown: '/md',
+    fallback: 'remoun.me',
+    notFound: '/blog/404/',
+  },
+  {
+    host: 'remoun.love',
+    prefix: '/love',
+    index: '/love/',
+    fallback: 'remoun.me',
+    notFound: '/love/404/',
+    noindex: true,
+  },
+  {
+    // URL shortener: remoun.to/gh → GitHub. Codes live in src/content/links.
+    host: 'remoun.to',
+    links: '/links.json',
+    fallback: 'remoun.me',
+    noindex: true,
+  },
+  {
+    // Main site: portfolio, resume, tools, admin. Serves whatever the other
+    // domains don't claim.
+    host: 'remoun.me',
+  },
+];
+
+/** Build-time robots.txt for a host; previews and unknown hosts get `default`. */
+export function robotsPath(host = 'default') {
+  return `/robots/${host}.txt`;
+}
+
+/** Build-time sitemap for an indexed host. */
+export function sitemapPath(host) {
+  return `/sitemaps/${host}.xml`;
+}
+
+/** Look up the routing rule for a hostname. */
+export function domainFor(host) {
+  return DOMAINS.find(d => d.host === host);
+}
+
+/**
+ * Strip a path prefix, returning the remainder without a leading slash,
+ * or null if the path isn't under the prefix.
+ * e.g. stripPrefix('/blog/my-post', '/blog') → 'my-post'
+ */
+export function stripPrefix(path, prefix) {
+  if (path === prefix || path === `${prefix}/`) return '';
+  if (path.startsWith(`${prefix}/`)) return path.slice(prefix.length + 1);
+  return null;
+}
@@ -0,0 +1,67 @@
+// Unsaved edits, kept in the browser's IndexedDB as they're typed so a closed
+// tab or a crash doesn't lose them. A draft is the whole entry file as
+// edited, plus the version it was edited from, so it can be merged if the
+// entry has changed on the forge since (see ./merge).
+
+export interface Draft {
+  /** See draftKey */
+  key: string;
+  /** The slug as edited; differs from the key's after a rename */
+  slug: string;
+  /** Blob sha of the version it was edited from; empty for new entries */
+  sha: string;
+  /** That version's file, to merge against */
+  base: string;
+  /** The whole file, frontmatter included */
+  content: string;
+  /** When it was last written, in ms since the epoch */
+  savedAt: number;
+}
+
+const DB_NAME = 'admin';
+const STORE = 'drafts';
+
+let db: Promise<IDBDatabase> | undefined;
+
+function open(): Promise<IDBDatabase> {
+  db ??= new Promise<IDBDatabase>((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'key' });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  db.catch(() => (db = undefined));
+  return db;
+}
+
+async function run<T>(mode: IDBTransactionMode, use: (store: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+  const store = (await open()).transaction(STORE, mode).objectStore(STORE);
+  return new Promise((resolve, reject) => {
+    const request = use(store);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/** The draft key for an entry as it was opened; new entries share one per collection. */
+export function draftKey(collection: string, slug: string): string {
+  return `${collection}/${slug}`;
+}
+
+export function loadDraft(key: string): Promise<Draft | undefined> {
+  return run('readonly', (store) => store.get(key));
+}
+
+export async function saveDraft(draft: Draft): Promise<void> {
+  await run('readwrite', (store) => store.put(draft));
+}
+
+export async function deleteDraft(key: string): Promise<void> {
+  await run('readwrite', (store) => store.delete(key));
+}
+
+/** The drafts for `collection`, keyed as its entries were opened. */
+export async function listDrafts(collection: string): Promise<Draft[]> {
+  const range = IDBKeyRange.bound(`${collection}/`, `${collection}/\uffff`);
+  return run('readonly', (store) => store.getAll(range));
+}
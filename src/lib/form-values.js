@@ -0,0 +1,52 @@
+// The admin's form state for an entry's frontmatter, one value per field:
+// checkboxes hold booleans, lists are edited as comma-separated text and
+// everything else as text. Plain JS so scripts/smoke-test.mjs can check that
+// an untouched form saves the frontmatter it was opened with.
+
+/** @typedef {import('./backend').Frontmatter} Frontmatter */
+/** @typedef {import('./collections').Field} Field */
+/** @typedef {Record<string, string | boolean>} FormValues */
+
+/**
+ * @param {Field[]} fields
+ * @param {Frontmatter} frontmatter
+ * @returns {FormValues}
+ */
+export function toFormValues(fields, frontmatter) {
+  return Object.fromEntries(
+    fields.map((field) => {
+      const value = frontmatter[field.name];
+      if (field.widget === 'boolean') return [field.name, typeof value === 'boolean' ? value : field.default === true];
+      if (field.widget === 'list') return [field.name, Array.isArray(value) ? value.join(', ') : ''];
+      return [field.name, value == null ? '' : String(value)];
+    })
+  );
+}
+
+/**
+ * The frontmatter `values` describe, for an entry that had `frontmatter`.
+ * Blank optional fields are dropped rather than saved as empty strings, and
+ * a key the entry left out stays out while it has its default value.
+ * @param {Field[]} fields
+ * @param {FormValues} values
+ * @param {Frontmatter} frontmatter
+ * @returns {Frontmatter}
+ */
+export function fromFormValues(fields, values, frontmatter) {
+  return Object.fromEntries(
+    fields.map((field) => {
+      const value = values[field.name];
+      const absent = !Object.hasOwn(frontmatter, field.name);
+      if (field.widget === 'boolean') {
+        const checked = value === true;
+        return [field.name, absent && checked === (field.default === true) ? undefined : checked];
+      }
+      const text = String(value).trim();
+      if (field.widget === 'list') {
+        const items = text.split(',').map((t) => t.trim()).filter(Boolean);
+        return [field.name, absent && !items.length ? undefined : items];
+      }
+      return [field.name, (text || field.required) ? text : undefined];
+    })
+  );
+}
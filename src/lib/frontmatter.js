@@ -0,0 +1,176 @@
+// Entry files are markdown with a YAML frontmatter block, read with
+// gray-matter's YAML engine. Writing an entry back edits the block it was read
+// from instead of regenerating it: untouched keys keep their exact source
+// text, changed ones keep their quoting and list style, and keys the admin
+// has no field for pass through. Plain JS so scripts/smoke-test.mjs can check
+// it against the real content.
+import matter from 'gray-matter';
+
+/** @typedef {import('./backend').Frontmatter} Frontmatter */
+/** @typedef {{ quote: 'plain' | 'single' | 'double', list?: 'flow' | 'block', indent?: string }} Style */
+
+const FRONTMATTER = /^---\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)([\s\S]*)$/;
+
+// A top-level key; anything else continues or follows the key above it
+const KEY = /^([\w$][\w$.-]*)\s*:(?:\s|$)/;
+
+// Dates come back as the text they were written as, which is what the
+// admin's date inputs edit
+function normalize(value) {
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalize(item)]));
+  }
+  return value;
+}
+
+// gray-matter's own entry point needs Node's Buffer, which the admin doesn't
+// have in the browser, so the YAML engine is called directly
+/** @returns {Frontmatter} */
+function load(yaml) {
+  const data = normalize(matter.engines.yaml.parse(yaml));
+  return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+}
+
+/**
+ * @param {string} content
+ * @returns {{ frontmatter: Frontmatter, body: string }}
+ */
+export function parseFrontmatter(content) {
+  const match = content.match(FRONTMATTER);
+  if (!match) {
+    return { frontmatter: {}, body: content };
+  }
+
+  const [, yaml = '', body] = match;
+  return { frontmatter: load(yaml), body: body.trim() };
+}
+
+// One chunk per top-level key: the key's own lines, then any comments or
+// blank lines after them, which stay put whatever happens to the key
+function splitKeys(yaml) {
+  /** @type {string[]} */
+  const preamble = [];
+  /** @type {{ key: string, lines: string[], trailing: string[] }[]} */
+  const blocks = [];
+
+  for (const line of yaml ? yaml.split(/\r?\n/) : []) {
+    const key = line.match(KEY);
+    const block = blocks[blocks.length - 1];
+    if (key) {
+      blocks.push({ key: key[1], lines: [line], trailing: [] });
+    } else if (!block) {
+      preamble.push(line);
+    } else if (/^(\s+[^\s#]|-(\s|$))/.test(line)) {
+      // Indented, or a block list item: a blank or comment line before it
+      // was inside the value after all
+      block.lines.push(...block.trailing.splice(0), line);
+    } else {
+      block.trailing.push(line);
+    }
+  }
+
+  return { preamble, blocks };
+}
+
+const quoteOf = (text) => (text.startsWith('"') ? 'double' : text.startsWith("'") ? 'single' : 'plain');
+
+/** @returns {Style} */
+function styleOf(lines) {
+  const rest = lines[0].slice(lines[0].indexOf(':') + 1).trim();
+  const item = lines.slice(1).map((line) => line.match(/^(\s*)-\s*(.*)$/)).find(Boolean);
+  if (!rest && item) return { list: 'block', indent: item[1], quote: quoteOf(item[2]) };
+  if (rest.startsWith('[')) return { list: 'flow', quote: quoteOf(rest.slice(1).trim()) };
+  return { quote: quoteOf(rest) };
+}
+
+// For keys the file didn't have: `[a, b]` lists, bare dates, quoted strings
+/** @returns {Style} */
+function defaultStyle(value) {
+  if (Array.isArray(value)) return { list: 'flow', quote: 'plain' };
+  return { quote: /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? 'plain' : 'double' };
+}
+
+// Whether a string can go unquoted and still read back as itself
+function plainSafe(text, inList) {
+  if (!text || /[\r\n]/.test(text)) return false;
+  try {
+    const { v } = load(inList ? `v: [${text}]` : `v: ${text}`);
+    return inList ? Array.isArray(v) && v.length === 1 && v[0] === text : v === text;
+  } catch {
+    return false;
+  }
+}
+
+function scalar(value, quote, inList = false) {
+  if (typeof value !== 'string') return String(value);
+  if (quote === 'plain' && plainSafe(value, inList)) return value;
+  if (quote === 'single' && !/[\r\n]/.test(value)) return `'${value.replace(/'/g, "''")}'`;
+  // JSON's escapes are all valid in a double-quoted YAML string
+  return JSON.stringify(value);
+}
+
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+/** @param {Style} style */
+function emit(key, value, style) {
+  if (Array.isArray(value) && value.every(isScalar)) {
+    if (style.list === 'block') {
+      return [`${key}:`, ...value.map((item) => `${style.indent}- ${scalar(item, style.quote)}`)];
+    }
+    return [`${key}: [${value.map((item) => scalar(item, style.quote, true)).join(', ')}]`];
+  }
+  if (isScalar(value)) return [`${key}: ${scalar(value, style.quote)}`];
+  // Nested values aren't edited by the admin; let the YAML engine write them
+  return matter.engines.yaml.stringify({ [key]: value }).trimEnd().split('\n');
+}
+
+const isSet = (value) => value != null && !(Array.isArray(value) && value.length === 0);
+
+const same = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(b);
+
+/**
+ * The entry as a markdown file. Given the file it was read from as
+ * `original`, everything that didn't change keeps that file's formatting;
+ * new keys go at the end. Unset fields and empty lists are left out.
+ * @param {Frontmatter} frontmatter
+ * @param {string} body
+ * @param {string} [original]
+ * @returns {string}
+ */
+export function serializeEntry(frontmatter, body, original) {
+  const lines = ['---'];
+  const written = new Set();
+
+  const match = original?.match(FRONTMATTER);
+  if (match) {
+    const yaml = match[1] ?? '';
+    const before = load(yaml);
+    const { preamble, blocks } = splitKeys(yaml);
+    // Keys in a form splitKeys doesn't recognize mean the file gets rewritten
+    const split = blocks.map((b) => b.key).sort().join('\n') === Object.keys(before).sort().join('\n');
+    if (split) {
+      lines.push(...preamble);
+      for (const { key, lines: source, trailing } of blocks) {
+        written.add(key);
+        const value = frontmatter[key];
+        if (same(value, before[key])) lines.push(...source);
+        else if (isSet(value)) lines.push(...emit(key, value, styleOf(source)));
+        lines.push(...trailing);
+      }
+    }
+  }
+
+  for (const [key, value] of Object.entries(frontmatter)) {
+    if (!written.has(key) && isSet(value)) lines.push(...emit(key, value, defaultStyle(value)));
+  }
+
+  lines.push('---');
+  if (body) lines.push('', body);
+
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,43 @@
+// Gitea or Forgejo (e.g. self-hosted on YunoHost), through the OAuth worker
+// deployed with PROVIDER = "gitea". Forgejo keeps Gitea's API, so one
+// backend covers both.
+import type { BackendConfig, GitBackend } from './backend';
+import { createWorkerBackend } from './worker-backend';
+
+export function createGiteaBackend(config: BackendConfig): GitBackend {
+  return createWorkerBackend(config, {
+    name: 'Gitea',
+    createMethod: 'POST',
+    async createBranch(api, _upstream, repo, base, branch) {
+      await api(`${repo}/branches`, {
+        method: 'POST',
+        body: JSON.stringify({ new_branch_name: branch, old_branch_name: base }),
+      });
+    },
+    // Gitea commits several files at once itself, checking each sha
+    async commitFiles(api, repo, branch, message, changes) {
+      const response = await api(`${repo}/contents`, {
+        method: 'POST',
+        body: JSON.stringify({
+          branch,
+          message,
+          files: changes.map((change) => ({
+            operation: change.content === undefined ? 'delete' : change.sha ? 'update' : 'create',
+            path: change.path,
+            content: change.content,
+            sha: change.sha,
+          })),
+        }),
+      });
+      // Deleted files come back as null
+      const { files }: { files: ({ path: string; sha: string } | null)[] } = await response.json();
+      return Object.fromEntries(files.filter((file) => file !== null).map((file) => [file.path, file.sha]));
+    },
+    async mergePull(api, repo, number) {
+      await api(`${repo}/pulls/${number}/merge`, {
+        method: 'POST',
+        body: JSON.stringify({ Do: 'merge', delete_branch_after_merge: true }),
+      });
+    },
+  });
+}
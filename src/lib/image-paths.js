@@ -0,0 +1,15 @@
+// Where the repo keeps images for posts, and which files count as images.
+// Plain JS so the memory backend, and with it scripts/smoke-test.mjs, can use
+// it; the rest of the admin's image handling is in ./images.
+
+export const IMAGES_DIR = 'public/images';
+export const IMAGES_URL = '/images';
+
+/**
+ * Whether a file name is one of the image types the admin handles.
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isImageName(name) {
+  return /\.(jpe?g|png|webp|gif)$/i.test(name);
+}
@@ -0,0 +1,143 @@
+// Images for posts live in public/images, which the site serves from /images.
+// The admin shrinks them before committing: phone photos are several times
+// larger than any page shows them. New images wait in the browser and go into
+// the same commit as the entry that uses them.
+import type { GitBackend, ImageFile, NewImage } from './backend';
+import { IMAGES_DIR, IMAGES_URL } from './image-paths';
+
+export { IMAGES_DIR, IMAGES_URL, isImageName } from './image-paths';
+
+/** Longest side, in pixels, of an uploaded image */
+const MAX_SIZE = 2000;
+const QUALITY = 0.85;
+
+const EXTENSIONS: Record<string, string> = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+};
+
+// `IMG_2041.HEIC` → `img-2041`
+function baseName(name: string): string {
+  return (
+    name
+      .replace(/\.[^.]*$/, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '') || 'image'
+  );
+}
+
+/** A file name like `name`, with `extension`, that isn't one of `taken`. */
+export function imageFileName(name: string, extension: string, taken: string[]): string {
+  const base = baseName(name);
+  for (let n = 1; ; n++) {
+    const candidate = `${base}${n > 1 ? `-${n}` : ''}.${extension}`;
+    if (!taken.includes(candidate)) return candidate;
+  }
+}
+
+/** Alt text to suggest for an image, from its file name. */
+export function suggestAlt(name: string): string {
+  const words = baseName(name).replace(/-/g, ' ');
+  return words === 'image' ? '' : words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function encode(canvas: HTMLCanvasElement, type: string): Promise<Blob> {
+  return new Promise((resolve, reject) =>
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error(`Couldn't encode ${type}`))), type, QUALITY)
+  );
+}
+
+/**
+ * `file` ready to commit: at most MAX_SIZE pixels on a side, named after the
+ * original but not after any of `taken`. Re-encoding also drops the photo's
+ * metadata, location included. GIFs go up as they are, since they may be
+ * animated.
+ */
+export async function prepareImage(file: File, taken: string[]): Promise<NewImage> {
+  if (file.type === 'image/gif') {
+    return { name: imageFileName(file.name, 'gif', taken), data: file };
+  }
+
+  let bitmap: ImageBitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch {
+    throw new Error(`${file.name} isn't an image this browser can read`);
+  }
+  const scale = Math.min(1, MAX_SIZE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d')!.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  // PNG and WebP keep transparency; everything else becomes JPEG
+  const type = file.type === 'image/png' || file.type === 'image/webp' ? file.type : 'image/jpeg';
+  return { name: imageFileName(file.name, EXTENSIONS[type], taken), data: await encode(canvas, type) };
+}
+
+// A new image isn't on the site until it's committed and deployed; until then
+// the admin shows it from the copy in memory
+const uploads = new Map<string, string>();
+
+/** Show `data` wherever the admin displays the image at `url`. */
+export function keepUpload(url: string, data: Blob): void {
+  uploads.set(url, URL.createObjectURL(data));
+}
+
+/** Where the admin can load the image at `url` from right now. */
+export function displayUrl(url: string): string {
+  return uploads.get(url) ?? url;
+}
+
+/** What the editor needs to insert images: the repo's, and new ones. */
+export interface ImageLibrary {
+  /** The repo's images, then those added but not committed yet */
+  list(): Promise<ImageFile[]>;
+  /**
+   * Shrink `file` (see prepareImage) and hold it until an entry using it is
+   * saved. Only for files that have been through face-blur review (see the
+   * editor).
+   */
+  add(file: File): Promise<ImageFile>;
+  /** The held images that `markdown` links to, to commit with it */
+  pendingIn(markdown: string): NewImage[];
+  /** Stop holding `images` once they're committed. */
+  committed(images: NewImage[]): void;
+}
+
+function toImageFile(name: string, pending?: true): ImageFile {
+  return { name, path: `${IMAGES_DIR}/${name}`, url: `${IMAGES_URL}/${name}`, ...(pending && { pending }) };
+}
+
+export function createImageLibrary(backend: GitBackend): ImageLibrary {
+  const pending = new Map<string, NewImage>();
+
+  async function list(): Promise<ImageFile[]> {
+    const files = await backend.listImages();
+    return [...files, ...[...pending.keys()].map((name) => toImageFile(name, true))];
+  }
+
+  return {
+    list,
+    async add(file) {
+      const taken = (await list()).map((image) => image.name);
+      const prepared = await prepareImage(file, taken);
+      const image = toImageFile(prepared.name, true);
+      pending.set(prepared.name, prepared);
+      keepUpload(image.url, prepared.data);
+      return image;
+    },
+    // Names have one dot, before the extension (see imageFileName), so no
+    // image's URL is part of another's
+    pendingIn(markdown) {
+      return [...pending.values()].filter((image) => markdown.includes(`${IMAGES_URL}/${image.name}`));
+    },
+    committed(images) {
+      for (const image of images) pending.delete(image.name);
+    },
+  };
+}
@@ -0,0 +1,11 @@
+// Markdown options for the site build, shared with the admin's preview
+// (src/components/Preview.tsx) so a post previews the way it will be published.
+// Plain JS so astro.config.mjs can import it.
+
+/** @type {import('@astrojs/markdown-remark').AstroMarkdownOptions} */
+export const markdownOptions = {
+  shikiConfig: {
+    theme: 'github-dark',
+    wrap: true,
+  },
+};
@@ -0,0 +1,301 @@
+// Markdown ↔ rich-text documents for the admin's editor. markdown-it reads a
+// post into a ProseMirror document over the editor's own schema, and
+// prosemirror-markdown writes it back. Each top-level block remembers the
+// markdown it was read from and is written back verbatim while it still reads
+// the same, so opening and saving a post changes nothing and an edit only
+// rewrites the blocks it touched. Plain JS so scripts/smoke-test.mjs can check
+// it against every post.
+import { Extension, Mark, Node, getSchema } from '@tiptap/core';
+import StarterKit from '@tiptap/starter-kit';
+import { MarkdownParser, MarkdownSerializer, defaultMarkdownSerializer } from '@tiptap/pm/markdown';
+import { Fragment } from '@tiptap/pm/model';
+import MarkdownIt from 'markdown-it';
+
+/** @typedef {import('@tiptap/pm/model').Node} PMNode */
+/** @typedef {{ source: string, canonical: string, gap: string }} BlockMarkdown */
+
+const Link = Mark.create({
+  name: 'link',
+  inclusive: false,
+  addAttributes() {
+    return { href: { default: null }, title: { default: null } };
+  },
+  parseHTML() {
+    return [{ tag: 'a[href]' }];
+  },
+  renderHTML({ HTMLAttributes }) {
+    return ['a', HTMLAttributes, 0];
+  },
+});
+
+/** Markdown images. `displayUrl` maps `src` to where the editor loads it from. */
+export const Image = Node.create({
+  name: 'image',
+  inline: true,
+  group: 'inline',
+  draggable: true,
+  addOptions() {
+    return { displayUrl: (/** @type {string} */ src) => src };
+  },
+  addAttributes() {
+    return {
+      // Copied images keep their own src, not the one they're shown from
+      src: { default: null, parseHTML: (el) => el.getAttribute('data-src') ?? el.getAttribute('src') },
+      alt: { default: null },
+      title: { default: null },
+    };
+  },
+  parseHTML() {
+    return [{ tag: 'img[src]' }];
+  },
+  renderHTML({ HTMLAttributes }) {
+    const src = this.options.displayUrl(HTMLAttributes.src);
+    return ['img', src === HTMLAttributes.src ? HTMLAttributes : { ...HTMLAttributes, src, 'data-src': HTMLAttributes.src }];
+  },
+});
+
+// Raw HTML (embeds, figures) is shown as source and kept exactly as written
+const HtmlBlock = Node.create({
+  name: 'htmlBlock',
+  group: 'block',
+  atom: true,
+  addAttributes() {
+    return { html: { default: '' } };
+  },
+  parseHTML() {
+    return [{ tag: 'pre[data-html-block]', getAttrs: (el) => ({ html: el.textContent }) }];
+  },
+  renderHTML({ node }) {
+    return ['pre', { 'data-html-block': '' }, node.attrs.html];
+  },
+});
+
+const HtmlInline = Node.create({
+  name: 'htmlInline',
+  inline: true,
+  group: 'inline',
+  atom: true,
+  addAttributes() {
+    return { html: { default: '' } };
+  },
+  parseHTML() {
+    return [{ tag: 'code[data-html-inline]', getAttrs: (el) => ({ html: el.textContent }) }];
+  },
+  renderHTML({ node }) {
+    return ['code', { 'data-html-inline': '' }, node.attrs.html];
+  },
+});
+
+const BLOCKS = ['paragraph', 'heading', 'blockquote', 'bulletList', 'orderedList', 'codeBlock', 'horizontalRule', 'htmlBlock'];
+
+// Markdown-only state: whether a list is tight, and the source of each
+// top-level block. Never rendered, and not copied when a block is split.
+const MarkdownAttributes = Extension.create({
+  name: 'markdownAttributes',
+  addGlobalAttributes() {
+    return [
+      {
+        types: ['bulletList', 'orderedList'],
+        attributes: { tight: { default: false, rendered: false } },
+      },
+      {
+        types: BLOCKS,
+        attributes: { markdown: { default: null, rendered: false, keepOnSplit: false } },
+      },
+    ];
+  },
+});
+
+/** Everything the editor needs to hold a post; the editor adds its UI extensions. */
+export const markdownExtensions = [
+  StarterKit.configure({ heading: { levels: [1, 2, 3, 4, 5, 6] } }),
+  Link,
+  Image,
+  HtmlBlock,
+  HtmlInline,
+  MarkdownAttributes,
+];
+
+const schema = getSchema(markdownExtensions);
+
+// What Astro renders: CommonMark plus strikethrough and raw HTML. Tables have
+// no node here, so they stay plain paragraphs and keep their source.
+const markdownIt = new MarkdownIt({ html: true }).disable('table');
+
+function listIsTight(tokens, i) {
+  while (++i < tokens.length) {
+    if (tokens[i].type !== 'list_item_open') return tokens[i].hidden;
+  }
+  return false;
+}
+
+const parser = new MarkdownParser(schema, markdownIt, {
+  blockquote: { block: 'blockquote' },
+  paragraph: { block: 'paragraph' },
+  list_item: { block: 'listItem' },
+  bullet_list: { block: 'bulletList', getAttrs: (_, tokens, i) => ({ tight: listIsTight(tokens, i) }) },
+  ordered_list: {
+    block: 'orderedList',
+    getAttrs: (tok, tokens, i) => ({ start: Number(tok.attrGet('start')) || 1, tight: listIsTight(tokens, i) }),
+  },
+  heading: { block: 'heading', getAttrs: (tok) => ({ level: Number(tok.tag.slice(1)) }) },
+  code_block: { block: 'codeBlock', noCloseToken: true },
+  fence: { block: 'codeBlock', getAttrs: (tok) => ({ language: tok.info || null }), noCloseToken: true },
+  hr: { node: 'horizontalRule' },
+  html_block: { node: 'htmlBlock', getAttrs: (tok) => ({ html: tok.content.replace(/\n$/, '') }) },
+  html_inline: { node: 'htmlInline', getAttrs: (tok) => ({ html: tok.content }) },
+  image: {
+    node: 'image',
+    getAttrs: (tok) => ({
+      src: tok.attrGet('src'),
+      alt: tok.children?.[0]?.content || null,
+      title: tok.attrGet('title') || null,
+    }),
+  },
+  hardbreak: { node: 'hardBreak' },
+  em: { mark: 'italic' },
+  strong: { mark: 'bold' },
+  s: { mark: 'strike' },
+  link: { mark: 'link', getAttrs: (tok) => ({ href: tok.attrGet('href'), title: tok.attrGet('title') || null }) },
+  code_inline: { mark: 'code', noCloseToken: true },
+});
+// Keep line breaks inside paragraphs where the author put them
+parser.tokenHandlers.softbreak = (state) => state.addText('\n');
+
+const { nodes, marks } = defaultMarkdownSerializer;
+
+const serializer = new MarkdownSerializer(
+  {
+    blockquote: nodes.blockquote,
+    heading: nodes.heading,
+    paragraph: nodes.paragraph,
+    listItem: nodes.list_item,
+    image: nodes.image,
+    hardBreak: nodes.hard_break,
+    text: nodes.text,
+    horizontalRule(state, node) {
+      state.write('---');
+      state.closeBlock(node);
+    },
+    bulletList(state, node) {
+      state.renderList(node, '  ', () => '- ');
+    },
+    orderedList(state, node) {
+      const start = node.attrs.start || 1;
+      const width = String(start + node.childCount - 1).length;
+      state.renderList(node, ' '.repeat(width + 2), (i) => `${start + i}. `.padStart(width + 2));
+    },
+    codeBlock(state, node) {
+      // A fence longer than any run of backticks inside
+      const runs = node.textContent.match(/`{3,}/g) ?? [];
+      const fence = '`'.repeat(Math.max(3, ...runs.map((run) => run.length + 1)));
+      state.write(`${fence}${node.attrs.language || ''}\n`);
+      state.text(node.textContent, false);
+      state.ensureNewLine();
+      state.write(fence);
+      state.closeBlock(node);
+    },
+    htmlBlock(state, node) {
+      state.text(node.attrs.html, false);
+      state.closeBlock(node);
+    },
+    htmlInline(state, node) {
+      state.text(node.attrs.html, false);
+    },
+  },
+  {
+    // Underscores for emphasis, as the posts are written
+    italic: { ...marks.em, open: '_', close: '_' },
+    bold: marks.strong,
+    link: marks.link,
+    code: marks.code,
+    strike: { open: '~~', close: '~~', mixable: true, expelEnclosingWhitespace: true },
+  }
+);
+
+// One block as markdown, ignoring whatever source it remembers
+function canonical(node) {
+  return serializer.serialize(schema.topNodeType.create(null, schema.nodeFromJSON(node.toJSON())));
+}
+
+// Top-level block tokens, in document order
+function topLevelMaps(markdown) {
+  return markdownIt
+    .parse(markdown, {})
+    .filter((tok) => tok.level === 0 && tok.nesting >= 0 && tok.map)
+    .map((tok) => tok.map);
+}
+
+/**
+ * A post body as an editor document, each top-level block carrying the
+ * markdown it came from.
+ * @param {string} markdown
+ * @returns {PMNode}
+ */
+export function parseMarkdown(markdown) {
+  const doc = parser.parse(markdown);
+  const maps = topLevelMaps(markdown);
+  if (maps.length !== doc.childCount) return doc;
+
+  // Character offset of each line start
+  const lineStarts = [0];
+  for (const line of markdown.split('\n')) lineStarts.push(lineStarts[lineStarts.length - 1] + line.length + 1);
+  const offset = (line) => Math.min(lineStarts[line], markdown.length);
+
+  const blocks = [];
+  doc.forEach((node, _, i) => {
+    const [first, last] = maps[i];
+    const end = Math.min(lineStarts[last] - 1, markdown.length);
+    const next = i + 1 < maps.length ? offset(maps[i + 1][0]) : markdown.length;
+    /** @type {BlockMarkdown} */
+    const attr = {
+      source: markdown.slice(offset(first), end).replace(/\n+$/, ''),
+      canonical: canonical(node),
+      gap: '',
+    };
+    attr.gap = markdown.slice(offset(first) + attr.source.length, next);
+    blocks.push(node.type.create({ ...node.attrs, markdown: attr }, node.content, node.marks));
+  });
+  return doc.copy(Fragment.from(blocks));
+}
+
+/**
+ * An editor document as markdown. Blocks that still read as they did when
+ * parsed are written exactly as they were.
+ * @param {PMNode} doc
+ * @returns {string}
+ */
+export function serializeMarkdown(doc) {
+  let out = '';
+  doc.forEach((node) => {
+    /** @type {BlockMarkdown | null} */
+    const attr = node.attrs.markdown;
+    const text = canonical(node);
+    out += attr && attr.canonical === text ? attr.source : text;
+    out += attr?.gap || '\n\n';
+  });
+  return out.replace(/\n+$/, '');
+}
+
+// The full GitHub-flavored syntax Astro renders, to spot what the editor's
+// schema has no node for
+const fullMarkdownIt = new MarkdownIt({ html: true });
+
+/**
+ * Reasons to think twice before showing `markdown` in the rich-text view: what
+ * it can only show as plain text or raw source, and whether any of it would
+ * be rewritten outright. Empty when the view holds it faithfully.
+ * @param {string} markdown
+ * @returns {string[]}
+ */
+export function richTextWarnings(markdown) {
+  const warnings = [];
+  const types = new Set(fullMarkdownIt.parse(markdown, {}).map((tok) => tok.type));
+  if (types.has('table_open')) warnings.push('Tables show as plain text.');
+  if (/^\[\^[^\]\s]+\]:/m.test(markdown)) warnings.push('Footnotes show as plain text.');
+  if (types.has('html_block')) warnings.push('HTML blocks show as source and can only be edited in source mode.');
+  if (serializeMarkdown(parseMarkdown(markdown)) !== markdown) {
+    warnings.push('Some of the markdown would be rewritten on the way back.');
+  }
+  return warnings;
+}
@@ -0,0 +1,279 @@
+// In-memory backend, for exercising the admin without a network or a forge
+// account: `/admin?backend=memory` under `astro dev`, plus `&role=guest` to
+// sign in as a guest author. Nothing persists past a reload. Plain JS so
+// scripts/smoke-test.mjs can hold it to the GitBackend contract.
+import { parseFrontmatter, serializeEntry } from './frontmatter.js';
+import { IMAGES_DIR, IMAGES_URL, isImageName } from './image-paths.js';
+import { merge3 } from './merge.js';
+
+/** @typedef {import('./backend').GitBackend} GitBackend */
+/** @typedef {import('./backend').NewImage} NewImage */
+/** @typedef {import('./backend').Submission} Submission */
+/** @typedef {import('./backend').User} User */
+/** @typedef {import('./collections').Collection} Collection */
+/** @typedef {Map<string, { content: string, sha: string }>} Files */
+
+/**
+ * @typedef {object} MemoryBackendOptions
+ * @property {Record<string, string>} [files] Files by repo path, e.g. `src/content/posts/hello.md`, as raw markdown
+ * @property {User | null} [user] Start signed in as this user
+ * @property {User['role']} [role] Role for users who sign in with login()
+ */
+
+/**
+ * @param {MemoryBackendOptions} [options]
+ * @returns {GitBackend}
+ */
+export function createMemoryBackend({ files: initialFiles = {}, user = null, role = 'maintainer' } = {}) {
+  // The default branch. Images are kept empty; the admin shows new ones from
+  // its own copy.
+  /** @type {Files} */
+  const files = new Map();
+  // Other branches, with the files they were branched from, for merging
+  /** @type {Map<string, { files: Files, base: Files }>} */
+  const branches = new Map();
+  // Guest entries go here instead of into files, as if awaiting review
+  /** @type {Submission[]} */
+  const submissions = [];
+  /** @type {Submission[]} */
+  const pulls = [];
+  let session = user;
+  let revision = 0;
+  /** @type {Set<() => void>} */
+  const listeners = new Set();
+
+  /**
+   * Stand-in for a blob sha: unique per write, so stale shas are caught
+   * @param {Files} target
+   * @param {string} path
+   * @param {string} content
+   */
+  function write(target, path, content) {
+    const sha = `memory-${++revision}`;
+    target.set(path, { content, sha });
+    return { sha };
+  }
+
+  /** @param {string} [branch] */
+  function filesOn(branch) {
+    if (!branch) return files;
+    const found = branches.get(branch);
+    if (!found) throw new Error(`No branch ${branch}`);
+    return found.files;
+  }
+
+  function requireSession() {
+    if (!session) throw new Error('Not authenticated');
+  }
+
+  // Guests can only propose new entries, as the worker's proxy enforces
+  function requireMaintainer() {
+    requireSession();
+    if (session.role !== 'maintainer') throw new Error('Not allowed');
+  }
+
+  /**
+   * @param {Files} target
+   * @param {string} path
+   * @param {string} sha
+   */
+  function requireSha(target, path, sha) {
+    const file = target.get(path);
+    if (!file) throw new Error(`${path} does not exist`);
+    if (file.sha !== sha) throw new Error(`${path} does not match ${sha}`);
+  }
+
+  /**
+   * All of `changes` or, if any file isn't as expected, none: like a commit.
+   * A change without content deletes; one without sha creates. A new branch
+   * starts from the default one.
+   * @param {{ path: string, content?: string, sha?: string }[]} changes
+   * @param {string} [branch]
+   * @returns {Record<string, string>} New blob shas by path
+   */
+  function commit(changes, branch) {
+    if (branch && !branches.has(branch)) branches.set(branch, { files: new Map(files), base: new Map(files) });
+    const target = filesOn(branch);
+    for (const { path, sha } of changes) {
+      if (sha) requireSha(target, path, sha);
+      else if (target.has(path)) throw new Error(`${path} already exists`);
+    }
+    /** @type {Record<string, string>} */
+    const shas = {};
+    for (const { path, content } of changes) {
+      if (content === undefined) target.delete(path);
+      else shas[path] = write(target, path, content).sha;
+    }
+    return shas;
+  }
+
+  /** @param {NewImage[]} [images] */
+  const imageChanges = (images = []) =>
+    images.map((image) => ({ path: `${IMAGES_DIR}/${image.name}`, content: '' }));
+
+  /**
+   * @param {Collection} collection
+   * @param {string} slug
+   */
+  const pathFor = (collection, slug) => `${collection.dir}/${slug}.md`;
+
+  for (const [path, content] of Object.entries(initialFiles)) write(files, path, content);
+
+  return {
+    name: 'Memory',
+
+    async getSession() {
+      return session;
+    },
+
+    login() {
+      session = { login: `test-${role}`, avatar_url: '', role };
+      for (const listener of listeners) listener();
+    },
+
+    onLogin(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    async logout() {
+      session = null;
+    },
+
+    async listEntries(collection) {
+      requireSession();
+      return [...files]
+        .filter(([path]) => path.startsWith(`${collection.dir}/`))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([path, { sha }]) => ({
+          slug: path.slice(collection.dir.length + 1).replace(/\.md$/, ''),
+          path,
+          sha,
+        }));
+    },
+
+    async getEntry(collection, slug, branch) {
+      requireSession();
+      const path = pathFor(collection, slug);
+      const file = filesOn(branch).get(path);
+      if (!file) throw new Error('Not Found');
+      return {
+        slug,
+        path,
+        sha: file.sha,
+        content: file.content,
+        ...parseFrontmatter(file.content),
+        ...(branch && { branch }),
+      };
+    },
+
+    async createEntry(collection, slug, frontmatter, body, { original, images, branch } = {}) {
+      requireSession();
+      if (session.role === 'guest') {
+        const title = typeof frontmatter.title === 'string' && frontmatter.title ? frontmatter.title : slug;
+        /** @type {Submission} */
+        const submission = {
+          number: submissions.length + pulls.length + 1,
+          title: `Guest ${collection.singular}: ${title}`,
+          url: '',
+          branch: `guest/${slug}-${++revision}`,
+          state: 'open',
+        };
+        submissions.unshift(submission);
+        return { sha: `memory-${revision}`, submission };
+      }
+      const path = pathFor(collection, slug);
+      const shas = commit(
+        [{ path, content: serializeEntry(frontmatter, body, original) }, ...imageChanges(images)],
+        branch
+      );
+      return { sha: shas[path] };
+    },
+
+    async updateEntry(collection, slug, sha, frontmatter, body, { original, images, newSlug, branch } = {}) {
+      requireMaintainer();
+      const from = pathFor(collection, slug);
+      const to = pathFor(collection, newSlug ?? slug);
+      const current = (branch && branches.get(branch)?.files) || files;
+      requireSha(current, from, sha);
+      const content = serializeEntry(frontmatter, body, original ?? current.get(from).content);
+      const shas = commit(
+        [
+          ...(to !== from ? [{ path: from, sha }, { path: to, content }] : [{ path: from, content, sha }]),
+          ...imageChanges(images),
+        ],
+        branch
+      );
+      return { sha: shas[to] };
+    },
+
+    async deleteEntry(collection, slug, sha) {
+      requireMaintainer();
+      commit([{ path: pathFor(collection, slug), sha }]);
+    },
+
+    async listSubmissions() {
+      requireSession();
+      return [...submissions];
+    },
+
+    async listPullRequests(prefix) {
+      requireMaintainer();
+      return pulls.filter((pull) => pull.branch.startsWith(prefix));
+    },
+
+    async openPullRequest(branch, title) {
+      requireMaintainer();
+      filesOn(branch);
+      const open = pulls.find((pull) => pull.branch === branch && pull.state === 'open');
+      if (open) return open;
+      /** @type {Submission} */
+      const pull = { number: submissions.length + pulls.length + 1, title, url: '', branch, state: 'open' };
+      pulls.unshift(pull);
+      return pull;
+    },
+
+    // Whatever the branch changed since it was made lands on the default one.
+    // A file changed on both is merged line by line, as the forges would; if
+    // that conflicts, nothing is merged.
+    async mergePullRequest(pull) {
+      requireMaintainer();
+      const found = pulls.find((p) => p.number === pull.number && p.state === 'open');
+      const branch = found && branches.get(found.branch);
+      if (!found || !branch) throw new Error(`Pull request #${pull.number} isn't open`);
+      /** @type {Map<string, string | undefined>} */
+      const merged = new Map();
+      for (const path of new Set([...branch.files.keys(), ...branch.base.keys()])) {
+        const file = branch.files.get(path);
+        const base = branch.base.get(path);
+        if (file?.sha === base?.sha) continue;
+        const current = files.get(path);
+        if (current?.sha === base?.sha || current?.content === file?.content) {
+          merged.set(path, file?.content);
+          continue;
+        }
+        const chunks = base && file && current ? merge3(base.content, file.content, current.content) : null;
+        if (!chunks || chunks.some((chunk) => chunk.conflict)) {
+          throw new Error(`Pull request #${pull.number} conflicts with ${path} on the default branch`);
+        }
+        merged.set(path, chunks.map((chunk) => chunk.lines?.join('')).join(''));
+      }
+      for (const [path, content] of merged) {
+        if (content === undefined) files.delete(path);
+        else write(files, path, content);
+      }
+      found.state = 'merged';
+      branches.delete(found.branch);
+    },
+
+    async listImages() {
+      requireSession();
+      return [...files.keys()]
+        .filter((path) => path.startsWith(`${IMAGES_DIR}/`) && isImageName(path))
+        .map((path) => {
+          const name = path.slice(IMAGES_DIR.length + 1);
+          return { name, path, url: `${IMAGES_URL}/${name}` };
+        });
+    },
+  };
+}
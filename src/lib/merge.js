@@ -0,0 +1,117 @@
+// Three-way merge of entry files, for when an entry changes on the forge while
+// it's being edited (see src/components/MergeView.tsx). Line-based, like
+// git's: changes to different lines of the version both sides started from
+// combine, and changes to the same or neighbouring lines are left as
+// conflicts to resolve by hand. Plain JS so scripts/smoke-test.mjs can check
+// it.
+import { diffArrays } from 'diff';
+
+/** @typedef {{ start: number, end: number, lines: string[] }} Hunk Base lines [start, end) replaced by `lines` */
+/** @typedef {{ base: string[], mine: string[], theirs: string[] }} Conflict */
+/** @typedef {{ lines: string[] } | { conflict: Conflict }} Chunk */
+
+/**
+ * `text` as lines, each with its line break, so joining them gives it back.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) ?? [];
+}
+
+/**
+ * Where `other` differs from `base`, in order
+ * @param {string[]} base
+ * @param {string[]} other
+ * @returns {Hunk[]}
+ */
+function hunks(base, other) {
+  /** @type {Hunk[]} */
+  const result = [];
+  let index = 0;
+  for (const change of diffArrays(base, other)) {
+    if (!change.added && !change.removed) {
+      index += change.count;
+      continue;
+    }
+    // A removal and the addition that replaces it make one hunk
+    let hunk = result.at(-1);
+    if (!hunk || hunk.end !== index) {
+      hunk = { start: index, end: index, lines: [] };
+      result.push(hunk);
+    }
+    if (change.removed) {
+      index += change.count;
+      hunk.end = index;
+    } else {
+      hunk.lines.push(...change.value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Base lines [start, end) with `side`'s hunks within them applied
+ * @param {string[]} base
+ * @param {number} start
+ * @param {number} end
+ * @param {Hunk[]} side
+ */
+function apply(base, start, end, side) {
+  const lines = [];
+  let index = start;
+  for (const hunk of side) {
+    lines.push(...base.slice(index, hunk.start), ...hunk.lines);
+    index = hunk.end;
+  }
+  return [...lines, ...base.slice(index, end)];
+}
+
+/**
+ * Merge `mine` and `theirs`, both edited from `base`. Lines that merged
+ * cleanly come in `lines` chunks, in order with the conflicts.
+ * @param {string} base
+ * @param {string} mine
+ * @param {string} theirs
+ * @returns {Chunk[]}
+ */
+export function merge3(base, mine, theirs) {
+  const baseLines = splitLines(base);
+  const changes = [
+    ...hunks(baseLines, splitLines(mine)).map((hunk) => ({ ...hunk, mine: true })),
+    ...hunks(baseLines, splitLines(theirs)).map((hunk) => ({ ...hunk, mine: false })),
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  /** @type {Chunk[]} */
+  const chunks = [];
+  /** @param {string[]} lines */
+  const keep = (lines) => {
+    const last = chunks.at(-1);
+    if (last && 'lines' in last) last.lines.push(...lines);
+    else if (lines.length) chunks.push({ lines: [...lines] });
+  };
+
+  let index = 0;
+  for (let i = 0; i < changes.length; ) {
+    // Changes to the same lines, or right next to each other, go together
+    const start = changes[i].start;
+    let end = changes[i].end;
+    const group = [changes[i++]];
+    while (i < changes.length && changes[i].start <= end) {
+      end = Math.max(end, changes[i].end);
+      group.push(changes[i++]);
+    }
+
+    keep(baseLines.slice(index, start));
+    const mineHunks = group.filter((hunk) => hunk.mine);
+    const theirHunks = group.filter((hunk) => !hunk.mine);
+    const mineLines = apply(baseLines, start, end, mineHunks);
+    const theirLines = apply(baseLines, start, end, theirHunks);
+    if (!theirHunks.length) keep(mineLines);
+    else if (!mineHunks.length || mineLines.join('') === theirLines.join('')) keep(theirLines);
+    else chunks.push({ conflict: { base: baseLines.slice(start, end), mine: mineLines, theirs: theirLines } });
+    index = end;
+  }
+  keep(baseLines.slice(index));
+  return chunks;
+}
@@ -0,0 +1,35 @@
+// Stands in for `shiki` in the admin's browser bundle (see astro.config.mjs),
+// so the preview ships the grammars the posts use rather than all of Shiki's.
+// The site build keeps the full set. A fence in any other language previews
+// as plain text. Plain JS so scripts/smoke-test.mjs can check the posts need
+// nothing more.
+import { createBundledHighlighter } from 'shiki/core';
+import { createOnigurumaEngine } from 'shiki/engine/oniguruma';
+
+export { createCssVariablesTheme, isSpecialLang } from 'shiki/core';
+
+const shellscript = () => import('shiki/langs/shellscript.mjs');
+const typescript = () => import('shiki/langs/typescript.mjs');
+
+// By every name a fence can use for them
+export const bundledLanguages = {
+  shellscript,
+  bash: shellscript,
+  sh: shellscript,
+  shell: shellscript,
+  zsh: shellscript,
+  css: () => import('shiki/langs/css.mjs'),
+  typescript,
+  ts: typescript,
+};
+
+// The theme in ./markdown-options
+export const bundledThemes = {
+  'github-dark': () => import('shiki/themes/github-dark.mjs'),
+};
+
+export const createHighlighter = createBundledHighlighter({
+  langs: bundledLanguages,
+  themes: bundledThemes,
+  engine: () => createOnigurumaEngine(import('shiki/wasm')),
+});
@@ -0,0 +1,31 @@
+// Saving an entry for review, instead of publishing it: maintainers can commit
+// it to a branch named after it, e.g. post/<slug>, and open a pull request
+// from there. Cloudflare Pages deploys every branch to a preview of its own,
+// which the pull request links to; publishing merges it.
+import type { Collection } from './collections';
+
+/** The Cloudflare Pages project the site deploys to */
+export const PAGES_PROJECT = 'remoun-site';
+
+/** The branch an entry is reviewed on. */
+export function reviewBranch(collection: Collection, slug: string): string {
+  return `${collection.reviewBranch}/${slug}`;
+}
+
+/** The slug a review branch is named after, or null if it isn't one of `collection`'s. */
+export function reviewSlug(collection: Collection, branch: string): string | null {
+  const prefix = `${collection.reviewBranch}/`;
+  return collection.reviewBranch && branch.startsWith(prefix) ? branch.slice(prefix.length) : null;
+}
+
+/**
+ * Where the entry can be seen on its branch's preview deployment. Pages names
+ * it after the branch, lowercased, with anything but letters and digits as
+ * hyphens, cut to 28 characters. Preview hosts serve the site as the domain
+ * in `__host` (see functions/_middleware.js).
+ */
+export function previewUrl(collection: Collection, branch: string, slug: string): string {
+  const alias = branch.toLowerCase().replace(/[^a-z0-9]/g, '-').slice(0, 28).replace(/-+$/, '');
+  const origin = `https://${alias}.${PAGES_PROJECT}.pages.dev`;
+  return collection.host ? `${origin}/${slug}?__host=${collection.host}` : `${origin}/`;
+}
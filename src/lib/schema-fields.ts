@@ -0,0 +1,76 @@
+// Admin form fields derived from a content collection's Zod schema, so a
+// frontmatter field added in src/content.config.ts shows up in the editor.
+// Runs at build time (see src/pages/admin.astro). Labels come from
+// `.describe()`, falling back to the key: `featured` → "Featured".
+import type { z } from 'astro/zod';
+import type { Field } from './collections';
+
+// The slice of Zod's internal definitions we read
+interface SchemaDef {
+  type: string;
+  innerType?: SchemaNode;
+  element?: SchemaNode;
+  in?: SchemaNode;
+  entries?: Record<string, string>;
+  defaultValue?: unknown;
+}
+
+interface SchemaNode {
+  _zod: { def: SchemaDef };
+  description?: string;
+}
+
+function humanize(key: string): string {
+  const words = key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function fieldFromSchema(name: string, schema: SchemaNode): Field {
+  let node = schema;
+  let label = node.description;
+  let required = true;
+  let defaultValue: unknown;
+
+  // Peel off wrappers: .optional(), .default(), .nullable(), transforms
+  for (;;) {
+    const { def } = node._zod;
+    if (def.type === 'optional' || def.type === 'nullable') {
+      required = false;
+      node = def.innerType!;
+    } else if (def.type === 'default') {
+      required = false;
+      defaultValue = def.defaultValue;
+      node = def.innerType!;
+    } else if (def.type === 'pipe') {
+      node = def.in!;
+    } else {
+      break;
+    }
+    label ??= node.description;
+  }
+
+  const field: Field = { name, label: label ?? humanize(name), widget: 'string', required };
+  if (defaultValue !== undefined) field.default = defaultValue as Field['default'];
+
+  const { def } = node._zod;
+  switch (def.type) {
+    case 'string':
+      return field;
+    case 'date':
+      return { ...field, widget: 'date' };
+    case 'boolean':
+      return { ...field, widget: 'boolean' };
+    case 'enum':
+      return { ...field, widget: 'select', options: Object.values(def.entries!) };
+    case 'array':
+      if (def.element!._zod.def.type === 'string') return { ...field, widget: 'list' };
+  }
+  throw new Error(`The admin can't edit frontmatter field "${name}" (${def.type}); see src/lib/schema-fields.ts`);
+}
+
+/** Form fields for each key of an object schema, in schema order. */
+export function fieldsFromSchema(schema: z.ZodObject): Field[] {
+  return Object.entries(schema.shape).map(([name, field]) =>
+    fieldFromSchema(name, field as unknown as SchemaNode)
+  );
+}
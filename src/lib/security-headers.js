@@ -0,0 +1,129 @@
+// Security headers applied by functions/_middleware.js to every response.
+//
+// Each entry in HEADER_POLICIES matches on host and/or path prefix (either
+// is enough) and layers on top of the defaults:
+//
+//   csp     — sources added to the default CSP directives. A directive whose
+//             sources include 'none' replaces the default instead.
+//   headers — headers that replace the defaults outright
+//
+// The CSP ships report-only until the reports at CSP_REPORT_PATH are clean.
+
+/** Violation reports are POSTed here; the middleware logs them. */
+export const CSP_REPORT_PATH = '/csp-report';
+
+/** Send Content-Security-Policy-Report-Only instead of enforcing. */
+export const CSP_REPORT_ONLY = true;
+
+const DEFAULT_CSP = {
+  'default-src': ["'self'"],
+  // Astro inlines small scripts and styles, and Love.astro sets the theme
+  // inline before first paint.
+  'script-src': ["'self'", "'unsafe-inline'"],
+  'style-src': ["'self'", "'unsafe-inline'"],
+  'img-src': ["'self'", 'data:', 'blob:'],
+  'font-src': ["'self'"],
+  'connect-src': ["'self'"],
+  'media-src': ["'self'"],
+  'object-src': ["'none'"],
+  'base-uri': ["'self'"],
+  'form-action': ["'self'"],
+  'frame-ancestors': ["'self'"],
+};
+
+// Only production hosts pin HTTPS: previews and `wrangler pages dev` aren't
+// ours to pin, and subdomains aren't covered until each is known to serve
+// HTTPS.
+const HSTS = 'max-age=31536000';
+
+const DEFAULT_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'SAMEORIGIN',
+  'Referrer-Policy': 'strict-origin-when-cross-origin',
+  'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=(), usb=(), interest-cohort=()',
+};
+
+const GOOGLE_FONTS = {
+  'style-src': ['https://fonts.googleapis.com'],
+  'font-src': ['https://fonts.gstatic.com'],
+};
+
+/** @typedef {{ host?: string, path?: string, csp?: Record<string, string[]>, headers?: Record<string, string> }} HeaderPolicy */
+
+/** @type {HeaderPolicy[]} */
+export const HEADER_POLICIES = [
+  {
+    // Date-me page: never framed, not even by the other remoun.* domains
+    host: 'remoun.love',
+    path: '/love',
+    csp: { ...GOOGLE_FONTS, 'frame-ancestors': ["'none'"] },
+    headers: { 'X-Frame-Options': 'DENY' },
+  },
+  {
+    // Admin, which reaches the forge only via the OAuth worker's API proxy.
+    // The OAuth popup talks back via postMessage, which CSP doesn't cover.
+    // The preview highlights code with Shiki's WebAssembly regex engine;
+    // uploads are checked for faces as in the face-blur tool.
+    path: '/admin',
+    csp: {
+      ...GOOGLE_FONTS,
+      'script-src': ["'wasm-unsafe-eval'"],
+      'connect-src': ['https://oauth.remoun.workers.dev', 'https://cdn.jsdelivr.net'],
+      'img-src': ['https://avatars.githubusercontent.com'],
+      'worker-src': ["'self'", 'blob:'],
+      'frame-ancestors': ["'none'"],
+    },
+    headers: { 'X-Frame-Options': 'DENY', 'Referrer-Policy': 'same-origin' },
+  },
+  {
+    // Face-blur tool: face-api models from jsdelivr, TF.js WebAssembly
+    path: '/face-blur',
+    csp: {
+      'script-src': ["'wasm-unsafe-eval'"],
+      'connect-src': ['https://cdn.jsdelivr.net'],
+      'worker-src': ["'self'", 'blob:'],
+    },
+  },
+];
+
+function matches(policy, host, path) {
+  return (policy.host !== undefined && policy.host === host) ||
+    (policy.path !== undefined && (path === policy.path || path.startsWith(`${policy.path}/`)));
+}
+
+function serializeCsp(directives) {
+  return Object.entries(directives)
+    .map(([directive, sources]) => `${directive} ${sources.join(' ')}`)
+    .join('; ');
+}
+
+/**
+ * Security headers for a response to `path` on `host`. `preview` is set when
+ * the request came to a host other than a production domain, even one
+ * emulating `host`.
+ */
+export function securityHeaders(host, path, preview = false) {
+  const csp = { ...DEFAULT_CSP };
+  const headers = { ...DEFAULT_HEADERS };
+  if (!preview) headers['Strict-Transport-Security'] = HSTS;
+
+  for (const policy of HEADER_POLICIES) {
+    if (!matches(policy, host, path)) continue;
+    for (const [directive, sources] of Object.entries(policy.csp || {})) {
+      csp[directive] = sources.includes("'none'")
+        ? sources
+        : [...new Set([...(csp[directive] || []), ...sources])];
+    }
+    Object.assign(headers, policy.headers);
+  }
+
+  csp['report-uri'] = [CSP_REPORT_PATH];
+  csp['report-to'] = ['csp'];
+  headers['Reporting-Endpoints'] = `csp="${CSP_REPORT_PATH}"`;
+  const cspHeader = CSP_REPORT_ONLY
+    ? 'Content-Security-Policy-Report-Only'
+    : 'Content-Security-Policy';
+  headers[cspHeader] = serializeCsp(csp);
+
+  return headers;
+}
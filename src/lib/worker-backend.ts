@@ -0,0 +1,406 @@
+// Backend for forges reached through the OAuth worker (workers/oauth). The
+// worker holds the token server-side, keyed by an HttpOnly session cookie,
+// and proxies API calls under /api to the forge it was deployed for.
+// GitHub's and Gitea's contents and pull request APIs are close enough to
+// share this; branch creation and multi-file commits differ.
+import type {
+  BackendConfig,
+  EntryFile,
+  Frontmatter,
+  GitBackend,
+  ImageFile,
+  NewImage,
+  Submission,
+  User,
+} from './backend';
+import type { Collection } from './collections';
+import { parseFrontmatter, serializeEntry } from './frontmatter';
+import { IMAGES_DIR, IMAGES_URL, isImageName } from './images';
+
+interface ContentsEntry {
+  name: string;
+  path: string;
+  sha: string;
+  type: 'file' | 'dir' | string;
+}
+
+interface PullRequest {
+  number: number;
+  title: string;
+  html_url: string;
+  state: 'open' | 'closed';
+  merged_at: string | null;
+  user: { login: string };
+  head: { ref: string; repo: { full_name: string } | null };
+}
+
+export type ApiFetch = (endpoint: string, options?: RequestInit) => Promise<Response>;
+
+/** One file written or deleted by a commit (see commitFiles) */
+export interface FileChange {
+  path: string;
+  /** New contents as base64; absent to delete the file */
+  content?: string;
+  /** Blob sha the file must have now; absent if it mustn't exist yet */
+  sha?: string;
+}
+
+export interface WorkerBackendOptions {
+  /** Forge name for the UI and error messages */
+  name: string;
+  /** Method that creates a file: GitHub uses PUT, Gitea POST */
+  createMethod: 'PUT' | 'POST';
+  /**
+   * Create `branch` in the repo at path `repo`, a guest's fork or upstream
+   * itself, from `base`, upstream's default branch
+   */
+  createBranch(api: ApiFetch, upstream: string, repo: string, base: string, branch: string): Promise<void>;
+  /**
+   * Make `changes` in a single commit on `branch` of `repo`, or fail without
+   * committing if any file isn't as its change expects. Resolves to the new
+   * blob sha of each file written, by path.
+   */
+  commitFiles(
+    api: ApiFetch,
+    repo: string,
+    branch: string,
+    message: string,
+    changes: FileChange[]
+  ): Promise<Record<string, string>>;
+  /** Merge pull request `number` of `repo`, from `branch`, then delete the branch */
+  mergePull(api: ApiFetch, repo: string, number: number, branch: string): Promise<void>;
+}
+
+// Guest entries are proposed from branches named guest/<slug>-<time>
+const GUEST_BRANCH_PREFIX = 'guest/';
+
+// Forking is asynchronous on GitHub, so the fork may not accept writes yet
+async function retry<T>(attempt: () => Promise<T>, tries = 5, delayMs = 2000): Promise<T> {
+  for (let i = 1; ; i++) {
+    try {
+      return await attempt();
+    } catch (e) {
+      if (i >= tries) throw e;
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+// File contents travel as base64: of UTF-8 bytes for text
+function encodeBase64(bytes: string | Uint8Array): string {
+  const data = typeof bytes === 'string' ? new TextEncoder().encode(bytes) : bytes;
+  return btoa(Array.from(data, (b) => String.fromCharCode(b)).join(''));
+}
+
+function decodeBase64(base64: string): string {
+  return new TextDecoder().decode(Uint8Array.from(atob(base64), (c) => c.charCodeAt(0)));
+}
+
+// How commit messages and pull requests refer to an entry
+function describe(collection: Collection, slug: string, frontmatter: Frontmatter): string {
+  const title = typeof frontmatter.title === 'string' && frontmatter.title ? frontmatter.title : slug;
+  return `${collection.singular}: ${title}`;
+}
+
+// A subject line, then what else the commit does, one line each
+function commitMessage(subject: string, details: string[]): string {
+  return details.length ? `${subject}\n\n${details.join('\n')}` : subject;
+}
+
+function entryPath(collection: Collection, slug: string): string {
+  return `${collection.dir}/${slug}.md`;
+}
+
+async function imageChanges(images: NewImage[] = []): Promise<FileChange[]> {
+  return Promise.all(
+    images.map(async (image) => ({
+      path: `${IMAGES_DIR}/${image.name}`,
+      content: encodeBase64(new Uint8Array(await image.data.arrayBuffer())),
+    }))
+  );
+}
+
+export function createWorkerBackend(
+  config: BackendConfig,
+  { name, createMethod, createBranch, commitFiles, mergePull }: WorkerBackendOptions
+): GitBackend {
+  const authOrigin = new URL(config.authUrl).origin;
+  const upstream = `/repos/${config.owner}/${config.repo}`;
+  // Who's signed in, as of the last getSession()
+  let user: User | null = null;
+  // File contents by blob sha, so an update can keep the formatting of the
+  // version it replaces
+  const loaded = new Map<string, string>();
+  let defaultBranch: Promise<string> | undefined;
+
+  function authFetch(path: string, options: RequestInit = {}): Promise<Response> {
+    return fetch(`${config.authUrl}${path}`, { ...options, credentials: 'include' });
+  }
+
+  async function apiFetch(endpoint: string, options: RequestInit = {}): Promise<Response> {
+    const response = await authFetch(`/api${endpoint}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...options.headers,
+      },
+    });
+
+    if (response.status === 401) {
+      throw new Error('Not authenticated');
+    }
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || `${name} API error: ${response.status}`);
+    }
+
+    return response;
+  }
+
+  // Where maintainers' edits go
+  function branch(): Promise<string> {
+    defaultBranch ??= apiFetch(upstream)
+      .then((response) => response.json())
+      .then((repo: { default_branch: string }) => repo.default_branch);
+    defaultBranch.catch(() => (defaultBranch = undefined));
+    return defaultBranch;
+  }
+
+  // Branches for review are made from the default branch when first used
+  async function ensureBranch(ref: string): Promise<void> {
+    const response = await authFetch(`/api${upstream}/branches/${ref}`);
+    if (response.ok) return;
+    if (response.status !== 404) throw new Error(`${name} API error: ${response.status}`);
+    await createBranch(apiFetch, upstream, upstream, await branch(), ref);
+  }
+
+  async function commit(message: string, changes: FileChange[], target?: string): Promise<Record<string, string>> {
+    if (target) await ensureBranch(target);
+    return commitFiles(apiFetch, upstream, target ?? (await branch()), message, changes);
+  }
+
+  // Open and closed pull requests alike. GitHub pages with per_page, Gitea
+  // with limit.
+  async function listPulls(): Promise<PullRequest[]> {
+    const response = await apiFetch(`${upstream}/pulls?state=all&per_page=100&limit=50`);
+    return response.json();
+  }
+
+  // From a branch of upstream itself, not a fork
+  const ownBranch = (pull: PullRequest) => pull.head.repo?.full_name === `${config.owner}/${config.repo}`;
+
+  // Guests can't push here: fork, commit to a fresh branch, open a pull request
+  async function submitEntry(
+    login: string,
+    collection: Collection,
+    slug: string,
+    frontmatter: Frontmatter,
+    body: string,
+    original?: string
+  ): Promise<{ sha: string; submission: Submission }> {
+    // GitHub returns an existing fork; Gitea refuses with 409, so look it up
+    const forked = await authFetch(`/api${upstream}/forks`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{}',
+    });
+    const fork = forked.status === 409
+      ? await (await apiFetch(`/repos/${login}/${config.repo}`)).json()
+      : await forked.json();
+    if (!forked.ok && forked.status !== 409) {
+      throw new Error(fork.message || `Could not fork ${config.owner}/${config.repo}`);
+    }
+
+    const forkPath = `/repos/${fork.full_name}`;
+    const base: string = fork.parent?.default_branch || fork.default_branch;
+    const branch = `${GUEST_BRANCH_PREFIX}${slug}-${Date.now().toString(36)}`;
+    await retry(() => createBranch(apiFetch, upstream, forkPath, base, branch));
+    const description = describe(collection, slug, frontmatter);
+    // A single file, so the contents API will do
+    const written = await apiFetch(`${forkPath}/contents/${entryPath(collection, slug)}`, {
+      method: createMethod,
+      body: JSON.stringify({
+        message: `Add guest ${description}`,
+        content: encodeBase64(serializeEntry(frontmatter, body, original)),
+        branch,
+      }),
+    });
+    const { sha } = (await written.json()).content;
+
+    const response = await apiFetch(`${upstream}/pulls`, {
+      method: 'POST',
+      body: JSON.stringify({
+        title: `Guest ${description}`,
+        head: `${login}:${branch}`,
+        base,
+        body: `Submitted by @${login} from the admin.`,
+      }),
+    });
+    const pull: PullRequest = await response.json();
+    return { sha, submission: toSubmission({ ...pull, head: { ...pull.head, ref: branch } }) };
+  }
+
+  function toImage(file: { name: string; path: string }): ImageFile {
+    return { name: file.name, path: file.path, url: `${IMAGES_URL}/${file.name}` };
+  }
+
+  function toSubmission(pull: PullRequest): Submission {
+    return {
+      number: pull.number,
+      title: pull.title,
+      url: pull.html_url,
+      branch: pull.head.ref,
+      state: pull.merged_at ? 'merged' : pull.state,
+    };
+  }
+
+  return {
+    name,
+
+    async getSession(): Promise<User | null> {
+      const response = await authFetch('/session');
+      if (response.status === 401) return null;
+      if (!response.ok) throw new Error(`Session check failed: ${response.status}`);
+      user = await response.json();
+      return user;
+    },
+
+    login() {
+      const width = 600;
+      const height = 700;
+      const left = window.screenX + (window.outerWidth - width) / 2;
+      const top = window.screenY + (window.outerHeight - height) / 2;
+      window.open(
+        `${config.authUrl}/auth`,
+        'oauth',
+        `width=${width},height=${height},left=${left},top=${top}`
+      );
+    },
+
+    // The popup posts a message when done. Only the worker's origin is trusted.
+    onLogin(listener) {
+      const handleMessage = (event: MessageEvent) => {
+        if (event.origin !== authOrigin) return;
+        if (event.data?.type === 'oauth_login') listener();
+      };
+      window.addEventListener('message', handleMessage);
+      return () => window.removeEventListener('message', handleMessage);
+    },
+
+    async logout() {
+      await authFetch('/logout', { method: 'POST' });
+      user = null;
+    },
+
+    async listEntries(collection): Promise<EntryFile[]> {
+      const response = await apiFetch(`${upstream}/contents/${collection.dir}`);
+      const files: ContentsEntry[] = await response.json();
+
+      return files
+        .filter((f) => f.type === 'file' && f.name.endsWith('.md'))
+        .map((f) => ({
+          slug: f.name.replace(/\.md$/, ''),
+          path: f.path,
+          sha: f.sha,
+        }));
+    },
+
+    async getEntry(collection, slug, ref) {
+      const path = `${collection.dir}/${slug}.md`;
+      const response = await apiFetch(`${upstream}/contents/${path}${ref ? `?ref=${encodeURIComponent(ref)}` : ''}`);
+      const data = await response.json();
+
+      const content = decodeBase64(data.content);
+      const { frontmatter, body } = parseFrontmatter(content);
+      loaded.set(data.sha, content);
+
+      return {
+        slug,
+        path,
+        sha: data.sha,
+        content,
+        frontmatter,
+        body,
+        ...(ref && { branch: ref }),
+      };
+    },
+
+    async createEntry(collection, slug, frontmatter, body, { original, images, branch: target } = {}) {
+      if (user?.role === 'guest') return submitEntry(user.login, collection, slug, frontmatter, body, original);
+      const path = entryPath(collection, slug);
+      const added = await imageChanges(images);
+      const message = commitMessage(
+        `Create ${describe(collection, slug, frontmatter)}`,
+        added.map((change) => `Add ${change.path}`)
+      );
+      const shas = await commit(
+        message,
+        [{ path, content: encodeBase64(serializeEntry(frontmatter, body, original)) }, ...added],
+        target
+      );
+      return { sha: shas[path] };
+    },
+
+    // A rename deletes the old file and adds the new one in the same commit
+    async updateEntry(
+      collection,
+      slug,
+      sha,
+      frontmatter,
+      body,
+      { original = loaded.get(sha), images, newSlug, branch: target } = {}
+    ) {
+      const from = entryPath(collection, slug);
+      const to = entryPath(collection, newSlug ?? slug);
+      const content = encodeBase64(serializeEntry(frontmatter, body, original));
+      const added = await imageChanges(images);
+      const message = commitMessage(`Update ${describe(collection, newSlug ?? slug, frontmatter)}`, [
+        ...(to !== from ? [`Move ${from} to ${to}`] : []),
+        ...added.map((change) => `Add ${change.path}`),
+      ]);
+      const shas = await commit(
+        message,
+        [...(to !== from ? [{ path: from, sha }, { path: to, content }] : [{ path: from, content, sha }]), ...added],
+        target
+      );
+      return { sha: shas[to] };
+    },
+
+    async deleteEntry(collection, slug, sha) {
+      await commit(`Delete ${collection.singular}: ${slug}`, [{ path: entryPath(collection, slug), sha }]);
+    },
+
+    async listSubmissions() {
+      if (!user) return [];
+      const login = user.login;
+      return (await listPulls())
+        .filter((pull) => pull.user.login === login && pull.head.ref.startsWith(GUEST_BRANCH_PREFIX))
+        .map(toSubmission);
+    },
+
+    async listPullRequests(prefix) {
+      return (await listPulls()).filter((pull) => ownBranch(pull) && pull.head.ref.startsWith(prefix)).map(toSubmission);
+    },
+
+    async openPullRequest(head, title, description) {
+      const open = (await listPulls()).find((pull) => ownBranch(pull) && pull.head.ref === head && pull.state === 'open');
+      if (open) return toSubmission(open);
+      const response = await apiFetch(`${upstream}/pulls`, {
+        method: 'POST',
+        body: JSON.stringify({ title, head, base: await branch(), body: description }),
+      });
+      return toSubmission(await response.json());
+    },
+
+    async mergePullRequest(pull) {
+      await mergePull(apiFetch, upstream, pull.number, pull.branch);
+    },
+
+    async listImages() {
+      const response = await apiFetch(`${upstream}/contents/${IMAGES_DIR}`);
+      const files: ContentsEntry[] = await response.json();
+      return files.filter((f) => f.type === 'file' && isImageName(f.name)).map(toImage);
+    },
+  };
+}
@@ -1,17 +1,13 @@
 import { getCollection } from 'astro:content';
+import { blogSlugs } from '../lib/blog-slugs.js';
 
+// Map of every root-level blog path to its canonical slug (see
+// ../lib/blog-slugs.js). A path claimed twice fails the build.
 export async function GET() {
   const posts = await getCollection('posts', ({ data }) => !data.draft);
   const projects = await getCollection('projects');
 
-  const postSlugs = posts.map(post => post.id);
-  const tags = new Set([
-    ...posts.flatMap(p => p.data.tags),
-    ...projects.flatMap(p => p.data.tags),
-  ]);
-  const tagSlugs = [...tags].map(tag => `tag/${tag}`);
-
-  return new Response(JSON.stringify([...postSlugs, ...tagSlugs]), {
+  return new Response(JSON.stringify(blogSlugs(posts, projects)), {
     headers: { 'Content-Type': 'application/json' }
   });
 }
@@ -0,0 +1,18 @@
+import { getCollection } from 'astro:content';
+
+export async function GET() {
+  const now = new Date();
+  const links = await getCollection('links', ({ data }) => !data.expires || data.expires > now);
+
+  // code → { url, status, expires? }; the middleware re-checks expiry at
+  // request time since links can lapse between builds.
+  const manifest = Object.fromEntries(links.map(link => [link.id, {
+    url: link.data.url,
+    status: link.data.permanent ? 301 : 302,
+    ...(link.data.expires && { expires: link.data.expires.toISOString() }),
+  }]));
+
+  return new Response(JSON.stringify(manifest), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
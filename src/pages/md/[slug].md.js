@@ -0,0 +1,33 @@
+import matter from 'gray-matter';
+import { getCollection } from 'astro:content';
+
+const day = date => date.toISOString().split('T')[0];
+
+// Raw markdown for each published post, served by the middleware at
+// remoun.blog/<slug>.md and for `Accept: text/markdown`. The frontmatter
+// keeps only public fields, plus the canonical URL.
+export async function getStaticPaths() {
+  const posts = await getCollection('posts', ({ data }) => !data.draft);
+  return posts.map(post => ({
+    params: { slug: post.id },
+    props: { post },
+  }));
+}
+
+export function GET({ props }) {
+  const { post } = props;
+  const { title, description, date, updated, tags } = post.data;
+
+  const markdown = matter.stringify(`\n${(post.body || '').trim()}\n`, {
+    title,
+    description,
+    date: day(date),
+    ...(updated && { updated: day(updated) }),
+    ...(tags.length > 0 && { tags }),
+    url: `https://remoun.blog/${post.id}/`,
+  });
+
+  return new Response(markdown, {
+    headers: { 'Content-Type': 'text/markdown; charset=utf-8' }
+  });
+}
@@ -0,0 +1,32 @@
+import { DOMAINS, sitemapPath } from '../../lib/domains.js';
+
+// robots.txt per domain, plus a `default` that keeps previews and unknown
+// hosts out of search results. Noindex domains stay crawlable so crawlers
+// see the X-Robots-Tag header the middleware adds.
+export function getStaticPaths() {
+  return [
+    ...DOMAINS.map(domain => ({ params: { host: domain.host }, props: { domain } })),
+    { params: { host: 'default' }, props: { domain: null } },
+  ];
+}
+
+export function GET({ props }) {
+  const { domain } = props;
+  let lines;
+  if (!domain) {
+    lines = ['User-agent: *', 'Disallow: /'];
+  } else if (domain.noindex) {
+    lines = ['User-agent: *', 'Allow: /'];
+  } else {
+    lines = [
+      'User-agent: *',
+      'Disallow: /admin',
+      '',
+      `Sitemap: https://${domain.host}/sitemap.xml`,
+    ];
+  }
+
+  return new Response(lines.join('\n') + '\n', {
+    headers: { 'Content-Type': 'text/plain' }
+  });
+}
@@ -0,0 +1,74 @@
+import { getCollection } from 'astro:content';
+
+// The latest of `dates`; undefined for none, so the entry goes without lastmod
+const newest = dates => dates.length ? new Date(Math.max(...dates.map(d => d.valueOf()))) : undefined;
+
+const escapeXml = s => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Pages listed in each indexed domain's sitemap: [path, lastmod?]
+const SITEMAPS = {
+  'remoun.blog': async () => {
+    const posts = await getCollection('posts', ({ data }) => !data.draft);
+    const projects = await getCollection('projects');
+    const lastmod = entry => entry.data.updated ?? entry.data.date;
+
+    const tagDates = new Map();
+    for (const entry of [...posts, ...projects]) {
+      for (const tag of entry.data.tags) {
+        tagDates.set(tag, [...(tagDates.get(tag) || []), lastmod(entry)]);
+      }
+    }
+
+    return [
+      ['/', newest(posts.map(lastmod))],
+      ...posts.map(post => [`/${post.id}/`, lastmod(post)]),
+      ...[...tagDates].map(([tag, dates]) => [`/tag/${tag}/`, newest(dates)]),
+    ];
+  },
+
+  'remoun.me': async () => {
+    const posts = await getCollection('posts');
+    const projects = await getCollection('projects');
+    const postPaths = new Set(posts.map(post => `/${post.id}`));
+
+    // Tools are projects that link to a page on this site (but not to a post)
+    const tools = projects.filter(p =>
+      p.data.link?.startsWith('/') && !postPaths.has(p.data.link.replace(/\/$/, ''))
+    );
+
+    return [
+      ['/'],
+      ['/portfolio/', newest(projects.map(p => p.data.date))],
+      ['/resume/'],
+      ...tools.map(tool => [`${tool.data.link.replace(/\/$/, '')}/`, tool.data.date]),
+    ];
+  },
+};
+
+export function getStaticPaths() {
+  return Object.keys(SITEMAPS).map(host => ({ params: { host } }));
+}
+
+export async function GET({ params }) {
+  const { host } = params;
+  const entries = await SITEMAPS[host]();
+
+  const urls = entries.map(([path, lastmod]) => [
+    '  <url>',
+    `    <loc>${escapeXml(`https://${host}${path}`)}</loc>`,
+    ...(lastmod ? [`    <lastmod>${lastmod.toISOString().split('T')[0]}</lastmod>`] : []),
+    '  </url>',
+  ].join('\n'));
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    '',
+  ].join('\n');
+
+  return new Response(xml, {
+    headers: { 'Content-Type': 'application/xml' }
+  });
+}
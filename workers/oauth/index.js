@@ -1,42 +1,372 @@
 /**
- * GitHub OAuth Proxy for Decap CMS and Custom Admin
+ * OAuth Proxy for the site's Admin, for GitHub or Gitea/Forgejo
  *
  * Deploy this worker and set these secrets:
- *   wrangler secret put GITHUB_CLIENT_ID
- *   wrangler secret put GITHUB_CLIENT_SECRET
+ *   wrangler secret put GITHUB_CLIENT_ID   (GITEA_CLIENT_ID for Gitea)
+ *   wrangler secret put GITHUB_CLIENT_SECRET   (GITEA_CLIENT_SECRET for Gitea)
+ *   wrangler secret put COOKIE_SECRET   (any long random string)
+ *
+ * PROVIDER in wrangler.toml is "github" (default) or "gitea"; Gitea and
+ * Forgejo also need GITEA_URL, e.g. https://git.example.com. ALLOWED_ORIGINS
+ * lists the admin origins that may be told about sign-ins and call this
+ * worker cross-origin. REPO (owner/name) is the only repo the API proxy will touch.
+ *
+ * MAINTAINERS lists the logins that may write to REPO. Anyone else who signs
+ * in is a guest author: the proxy only lets them read REPO, write to their
+ * own fork and open pull requests against REPO.
+ *
+ * AUTH_MODE picks how the proxy authenticates to GitHub:
+ *   oauth-app  - (default) the user's OAuth token, scope `repo user`
+ *   github-app - a GitHub App installed only on REPO. Sign-in uses the
+ *                App's own client id/secret (GITHUB_CLIENT_ID/SECRET) just to
+ *                identify the user, who must be a maintainer (guests need
+ *                their own token to fork, so aren't supported in this mode);
+ *                API calls use short-lived installation tokens limited to
+ *                contents:write and pull_requests:write (for posts saved
+ *                for review) on that repo. Also set GITHUB_APP_ID and
+ *                `wrangler secret put GITHUB_APP_PRIVATE_KEY` (PKCS#8 PEM:
+ *                `openssl pkcs8 -topk8 -nocrypt -in app.pem`).
+ *
+ * The admin never sees the token: the worker keeps it in the SESSIONS KV
+ * namespace (or in memory under `wrangler dev` without KV) and gives the
+ * browser an HttpOnly session cookie instead.
  *
  * Endpoints:
- *   /auth - Start OAuth flow (works for both Decap CMS and custom admin)
+ *   /auth - Start OAuth flow
  *   /callback - OAuth callback
+ *   /session - Current user, or 401
+ *   /logout - End the session (POST)
+ *   /api/* - Proxy to the forge's API with the session's token
  */
 
-const GITHUB_AUTHORIZE_URL = 'https://github.com/login/oauth/authorize';
-const GITHUB_TOKEN_URL = 'https://github.com/login/oauth/access_token';
+const GITHUB_API = 'https://api.github.com';
+
+const STATE_COOKIE = 'oauth_state';
+const STATE_MAX_AGE = 600; // seconds to complete the forge's login
+
+const SESSION_COOKIE = 'session';
+const SESSION_MAX_AGE = 60 * 60 * 24 * 7; // a week
+
+// OAuth endpoints, API and credentials for the configured forge
+function forge(env) {
+  if (env.PROVIDER === 'gitea') {
+    const base = (env.GITEA_URL || '').replace(/\/$/, '');
+    return {
+      authorizeUrl: `${base}/login/oauth/authorize`,
+      tokenUrl: `${base}/login/oauth/access_token`,
+      api: `${base}/api/v1`,
+      accept: 'application/json',
+      scope: 'read:user write:repository',
+      clientId: env.GITEA_CLIENT_ID,
+      clientSecret: env.GITEA_CLIENT_SECRET,
+    };
+  }
+  return {
+    authorizeUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    api: GITHUB_API,
+    accept: 'application/vnd.github.v3+json',
+    // GitHub Apps get their permissions from the installation, not scopes
+    scope: isGitHubApp(env) ? null : 'repo user',
+    clientId: env.GITHUB_CLIENT_ID,
+    clientSecret: env.GITHUB_CLIENT_SECRET,
+  };
+}
+
+function isGitHubApp(env) {
+  return env.PROVIDER !== 'gitea' && env.AUTH_MODE === 'github-app';
+}
+
+// Logins are case-insensitive on both forges
+function isMaintainer(env, login) {
+  return (env.MAINTAINERS || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .includes(login.toLowerCase());
+}
+
+function allowedOrigins(env) {
+  return (env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+}
+
+function base64url(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+async function hmac(secret, value) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return base64url(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(value)));
+}
+
+// Signed cookie values are `value.signature`
+async function sign(secret, value) {
+  return `${value}.${await hmac(secret, value)}`;
+}
+
+async function verify(secret, signed) {
+  const dot = signed?.lastIndexOf('.') ?? -1;
+  if (dot <= 0) return null;
+  const value = signed.slice(0, dot);
+  const expected = await hmac(secret, value);
+  // Compare digests rather than strings to avoid leaking timing
+  const [a, b] = await Promise.all(
+    [expected, signed.slice(dot + 1)].map((s) =>
+      crypto.subtle.digest('SHA-256', new TextEncoder().encode(s))
+    )
+  );
+  return base64url(a) === base64url(b) ? value : null;
+}
+
+function apiHeaders(token, accept = 'application/vnd.github.v3+json') {
+  return {
+    Authorization: `Bearer ${token}`,
+    Accept: accept,
+    'Content-Type': 'application/json',
+    'User-Agent': 'remoun-oauth',
+  };
+}
+
+async function apiJson(url, token, { accept, ...options } = {}) {
+  const response = await fetch(url, { ...options, headers: apiHeaders(token, accept) });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.message || `API error: ${response.status}`);
+  }
+  return data;
+}
+
+// JWT that authenticates as the GitHub App itself, valid for ~10 minutes
+async function appJwt(env) {
+  const encode = (value) => new TextEncoder().encode(value);
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(encode(JSON.stringify({ alg: 'RS256', typ: 'JWT' })));
+  // Backdated a minute to allow for clock drift, per GitHub's docs
+  const payload = base64url(
+    encode(JSON.stringify({ iat: now - 60, exp: now + 540, iss: env.GITHUB_APP_ID }))
+  );
+
+  const pem = env.GITHUB_APP_PRIVATE_KEY.replace(/-----[^-]+-----|\s/g, '');
+  const key = await crypto.subtle.importKey(
+    'pkcs8',
+    Uint8Array.from(atob(pem), (c) => c.charCodeAt(0)),
+    { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', key, encode(`${header}.${payload}`));
+  return `${header}.${payload}.${base64url(signature)}`;
+}
+
+// Installation tokens last an hour; reuse one until it's close to expiry
+let installationTokenCache = null;
+
+async function installationToken(env) {
+  if (installationTokenCache && installationTokenCache.expiresAt - Date.now() > 5 * 60 * 1000) {
+    return installationTokenCache.token;
+  }
+
+  const jwt = await appJwt(env);
+  const installation = await apiJson(`${GITHUB_API}/repos/${env.REPO}/installation`, jwt);
+  const data = await apiJson(`${GITHUB_API}/app/installations/${installation.id}/access_tokens`, jwt, {
+    method: 'POST',
+    body: JSON.stringify({
+      repositories: [env.REPO.split('/')[1]],
+      permissions: { contents: 'write', pull_requests: 'write' },
+    }),
+  });
+  installationTokenCache = { token: data.token, expiresAt: Date.parse(data.expires_at) };
+  return data.token;
+}
+
+function getCookie(request, name) {
+  const cookies = request.headers.get('Cookie') || '';
+  const match = cookies.match(new RegExp(`(?:^|;\\s*)${name}=([^;]*)`));
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+// The session cookie goes out on cross-site requests from the admin, so it
+// must be SameSite=None; the Origin allowlist stands in for SameSite's CSRF
+// protection.
+function sessionCookie(value, maxAge) {
+  return `${SESSION_COOKIE}=${encodeURIComponent(value)}; Path=/; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=None`;
+}
+
+// In-memory stand-in for the SESSIONS KV namespace, for `wrangler dev`.
+// Lives as long as the isolate, so sessions don't survive a restart.
+const memorySessions = new Map();
+const memoryStore = {
+  async get(key) {
+    const entry = memorySessions.get(key);
+    if (!entry || entry.expires < Date.now()) return null;
+    return entry.value;
+  },
+  async put(key, value, { expirationTtl }) {
+    memorySessions.set(key, { value, expires: Date.now() + expirationTtl * 1000 });
+  },
+  async delete(key) {
+    memorySessions.delete(key);
+  },
+};
+
+function sessionStore(env) {
+  return env.SESSIONS || memoryStore;
+}
+
+async function getSession(request, env) {
+  const id = await verify(env.COOKIE_SECRET, getCookie(request, SESSION_COOKIE));
+  if (!id) return null;
+  const session = await sessionStore(env).get(`session:${id}`);
+  return session ? { id, ...JSON.parse(session) } : null;
+}
+
+// Repo names and logins can hold `.` and the like, which must match only
+// themselves
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// API calls the admin may make through /api, as [method, path]. Paths are
+// the same on GitHub and Gitea, relative to their API roots.
+function proxyRoutes(env, session) {
+  const repo = `/repos/${escapeRegExp(env.REPO)}`;
+  const read = [['GET', new RegExp(`^${repo}/contents/.*$`)]];
+  if (session.role === 'maintainer') {
+    // Edits are single commits of any number of files: on GitHub built from
+    // blobs and a tree, on Gitea in one request. Entries in review go to
+    // branches of their own, with a pull request to merge when published.
+    return [
+      ...read,
+      ['GET', new RegExp(`^${repo}$`)], // default branch
+      ['GET', new RegExp(`^${repo}/git/ref/heads/.+$`)], // GitHub
+      ['GET', new RegExp(`^${repo}/git/commits/[0-9a-f]+$`)],
+      ['GET', new RegExp(`^${repo}/git/trees/[0-9a-f]+$`)],
+      ['POST', new RegExp(`^${repo}/git/(blobs|trees|commits)$`)],
+      ['PATCH', new RegExp(`^${repo}/git/refs/heads/.+$`)],
+      ['POST', new RegExp(`^${repo}/contents$`)], // Gitea
+      ['GET', new RegExp(`^${repo}/branches/.+$`)],
+      ['POST', new RegExp(`^${repo}/git/refs$`)], // GitHub
+      ['POST', new RegExp(`^${repo}/branches$`)], // Gitea
+      ['DELETE', new RegExp(`^${repo}/git/refs/heads/.+$`)], // GitHub, after merging
+      ['GET', new RegExp(`^${repo}/pulls$`)],
+      ['POST', new RegExp(`^${repo}/pulls$`)],
+      ['PUT', new RegExp(`^${repo}/pulls/\\d+/merge$`)], // GitHub
+      ['POST', new RegExp(`^${repo}/pulls/\\d+/merge$`)], // Gitea
+    ];
+  }
+
+  // Guests write only to repos of their own (their fork), and open pull
+  // requests from there
+  const fork = `/repos/${escapeRegExp(session.login)}/[^/]+`;
+  return [
+    ...read,
+    ['POST', new RegExp(`^${repo}/forks$`)],
+    ['GET', new RegExp(`^${repo}/pulls$`)],
+    ['POST', new RegExp(`^${repo}/pulls$`)],
+    ['GET', new RegExp(`^${repo}/git/ref/heads/.+$`)], // GitHub: branch base
+    ['GET', new RegExp(`^${fork}$`)],
+    ['POST', new RegExp(`^${fork}/git/refs$`)], // GitHub
+    ['POST', new RegExp(`^${fork}/branches$`)], // Gitea
+    ['POST', new RegExp(`^${fork}/contents/.+$`)],
+    ['PUT', new RegExp(`^${fork}/contents/.+$`)],
+  ];
+}
+
+async function proxyApi(request, env, session, path, search) {
+  const allowed = proxyRoutes(env, session).some(
+    ([method, pattern]) => method === request.method && pattern.test(path)
+  );
+  if (!allowed) {
+    return Response.json({ message: `Not allowed: ${request.method} ${path}` }, { status: 403 });
+  }
+
+  const token = isGitHubApp(env) && session.role === 'maintainer'
+    ? await installationToken(env)
+    : session.token;
+  if (!token) {
+    return Response.json({ message: 'Not authenticated' }, { status: 401 });
+  }
+
+  const { api, accept } = forge(env);
+  const response = await fetch(`${api}${path}${search}`, {
+    method: request.method,
+    headers: apiHeaders(token, accept),
+    body: ['GET', 'HEAD'].includes(request.method) ? undefined : await request.text(),
+  });
+
+  return new Response(response.body, {
+    status: response.status,
+    headers: { 'Content-Type': response.headers.get('Content-Type') || 'application/json' },
+  });
+}
 
 export default {
   async fetch(request, env) {
     const url = new URL(request.url);
 
-    // CORS headers for the token endpoint
+    const origins = allowedOrigins(env);
+
+    // CORS headers, for allowlisted admin origins only
+    const origin = request.headers.get('Origin');
+    const originAllowed = !!origin && origins.includes(origin);
     const corsHeaders = {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
       'Access-Control-Allow-Headers': 'Content-Type',
+      Vary: 'Origin',
+      ...(originAllowed && {
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Credentials': 'true',
+      }),
     };
 
     if (request.method === 'OPTIONS') {
       return new Response(null, { headers: corsHeaders });
     }
 
+    // Default: show usage
+    if (url.pathname === '/') {
+      return new Response(
+        'OAuth Proxy\n\nEndpoints:\n  /auth - Start OAuth flow\n  /callback - OAuth callback\n  /session - Current user\n  /logout - End the session\n  /api/* - API proxy',
+        { status: 200 }
+      );
+    }
+
+    if (!env.COOKIE_SECRET) {
+      return new Response('COOKIE_SECRET is not configured', { status: 500 });
+    }
+
     // /auth - Start OAuth flow
     if (url.pathname === '/auth') {
+      // The state round-trips through the forge and must match this signed,
+      // HttpOnly cookie on /callback, so a callback can't be forged (CSRF).
+      const state = crypto.randomUUID();
+      const { authorizeUrl, clientId, scope } = forge(env);
       const params = new URLSearchParams({
-        client_id: env.GITHUB_CLIENT_ID,
+        client_id: clientId,
         redirect_uri: `${url.origin}/callback`,
-        scope: 'repo user',
-        state: crypto.randomUUID(),
+        response_type: 'code',
+        ...(scope && { scope }),
+        state,
+      });
+      const cookie = await sign(env.COOKIE_SECRET, state);
+      return new Response(null, {
+        status: 302,
+        headers: {
+          Location: `${authorizeUrl}?${params}`,
+          'Set-Cookie': `${STATE_COOKIE}=${encodeURIComponent(cookie)}; Path=/callback; Max-Age=${STATE_MAX_AGE}; HttpOnly; Secure; SameSite=Lax`,
+        },
       });
-      return Response.redirect(`${GITHUB_AUTHORIZE_URL}?${params}`, 302);
     }
 
     // /callback - Exchange code for token
@@ -47,48 +377,96 @@ export default {
         return new Response('Missing code parameter', { status: 400 });
       }
 
-      const tokenResponse = await fetch(GITHUB_TOKEN_URL, {
+      const state = url.searchParams.get('state');
+      const expectedState = await verify(env.COOKIE_SECRET, getCookie(request, STATE_COOKIE));
+      if (!state || !expectedState || state !== expectedState) {
+        return new Response('Invalid or expired OAuth state. Please sign in again.', { status: 400 });
+      }
+
+      const { tokenUrl, api, accept, clientId, clientSecret } = forge(env);
+      // The forge may answer with an error page rather than JSON
+      const tokenResponse = await fetch(tokenUrl, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Accept': 'application/json',
         },
+        // Gitea requires grant_type and redirect_uri; GitHub ignores them
         body: JSON.stringify({
-          client_id: env.GITHUB_CLIENT_ID,
-          client_secret: env.GITHUB_CLIENT_SECRET,
+          client_id: clientId,
+          client_secret: clientSecret,
+          grant_type: 'authorization_code',
+          redirect_uri: `${url.origin}/callback`,
           code,
         }),
-      });
+      }).catch(() => null);
+      const tokenData = await tokenResponse?.json().catch(() => ({})) ?? {};
 
-      const tokenData = await tokenResponse.json();
+      if (!tokenResponse?.ok || tokenData.error || !tokenData.access_token) {
+        const reason = tokenData.error_description || tokenData.error
+          || (tokenResponse ? `the forge answered ${tokenResponse.status}` : 'the forge could not be reached');
+        return new Response(`OAuth error: ${reason}. Please sign in again.`, { status: 400 });
+      }
+
+      const headers = new Headers({ 'Content-Type': 'text/html', 'Cache-Control': 'no-store' });
+      headers.append('Set-Cookie', `${STATE_COOKIE}=; Path=/callback; Max-Age=0; HttpOnly; Secure; SameSite=Lax`);
 
-      if (tokenData.error) {
-        return new Response(`OAuth error: ${tokenData.error_description}`, { status: 400 });
+      // Keep the token here and hand out a session. As a GitHub App, the
+      // user's token only identifies them; API calls use installation tokens,
+      // so check they could push to the repo themselves. Guests act as
+      // themselves, which needs their own token.
+      let user;
+      let permission;
+      try {
+        user = await apiJson(`${api}/user`, tokenData.access_token, { accept });
+        if (typeof user.login !== 'string') throw new Error('no login in the response');
+        if (isGitHubApp(env) && isMaintainer(env, user.login)) {
+          ({ permission } = await apiJson(
+            `${GITHUB_API}/repos/${env.REPO}/collaborators/${user.login}/permission`,
+            await installationToken(env)
+          ));
+        }
+      } catch (error) {
+        return new Response(`Could not look up your account (${error.message}). Please sign in again.`, {
+          status: 400,
+          headers,
+        });
       }
+      const role = isMaintainer(env, user.login) ? 'maintainer' : 'guest';
+      if (isGitHubApp(env) && !['admin', 'write'].includes(permission)) {
+        return new Response(`${user.login} is not a maintainer of ${env.REPO}`, {
+          status: 403,
+          headers,
+        });
+      }
+      const id = base64url(crypto.getRandomValues(new Uint8Array(32)));
+      await sessionStore(env).put(
+        `session:${id}`,
+        JSON.stringify({
+          ...(!isGitHubApp(env) && { token: tokenData.access_token }),
+          login: user.login,
+          avatar_url: user.avatar_url,
+          role,
+        }),
+        { expirationTtl: SESSION_MAX_AGE }
+      );
+      headers.append('Set-Cookie', sessionCookie(await sign(env.COOKIE_SECRET, id), SESSION_MAX_AGE));
 
-      // Return HTML that posts the token back to the opener window
-      // Supports both Decap CMS format and custom admin format
+      // Return HTML that tells the opener window we're done; it only gets a
+      // signal, never the token. Each message targets one allowlisted origin;
+      // the browser drops it unless the opener is actually on that origin.
       const html = `<!DOCTYPE html>
 <html>
 <head><title>OAuth Complete</title></head>
 <body>
 <script>
   (function() {
-    const token = ${JSON.stringify(tokenData.access_token)};
-    const provider = 'github';
+    const origins = ${JSON.stringify(origins)};
 
     if (window.opener) {
-      // Send to custom admin (simple format)
-      window.opener.postMessage(
-        { type: 'github_oauth', token: token },
-        '*'
-      );
-
-      // Also send Decap CMS format for backwards compatibility
-      window.opener.postMessage(
-        'authorization:' + provider + ':success:' + JSON.stringify({ token, provider }),
-        '*'
-      );
+      for (const origin of origins) {
+        window.opener.postMessage({ type: 'oauth_login' }, origin);
+      }
 
       window.close();
     }
@@ -98,15 +476,49 @@ export default {
 </body>
 </html>`;
 
-      return new Response(html, {
-        headers: { 'Content-Type': 'text/html' },
+      return new Response(html, { headers });
+    }
+
+    // Everything below is called by the admin with credentials. Cookies ride
+    // along on cross-site requests, so only allowlisted origins get through.
+    if (!originAllowed) {
+      return new Response('Origin not allowed', { status: 403, headers: corsHeaders });
+    }
+
+    const session = await getSession(request, env);
+
+    // /session - Who is signed in
+    if (url.pathname === '/session') {
+      if (!session) {
+        return Response.json({ message: 'Not authenticated' }, { status: 401, headers: corsHeaders });
+      }
+      // Sessions from before roles existed are guests until they sign in again
+      return Response.json(
+        { login: session.login, avatar_url: session.avatar_url, role: session.role || 'guest' },
+        { headers: corsHeaders }
+      );
+    }
+
+    // /logout - Forget the token and clear the cookie
+    if (url.pathname === '/logout' && request.method === 'POST') {
+      if (session) await sessionStore(env).delete(`session:${session.id}`);
+      return new Response(null, {
+        status: 204,
+        headers: { ...corsHeaders, 'Set-Cookie': sessionCookie('', 0) },
       });
     }
 
-    // Default: show usage
-    return new Response(
-      'GitHub OAuth Proxy\n\nEndpoints:\n  /auth - Start OAuth flow\n  /callback - OAuth callback',
-      { status: 200 }
-    );
+    // /api/* - The forge's API with the session's token
+    if (url.pathname.startsWith('/api/')) {
+      if (!session) {
+        return Response.json({ message: 'Not authenticated' }, { status: 401, headers: corsHeaders });
+      }
+      const path = url.pathname.slice('/api'.length);
+      const response = await proxyApi(request, env, session, path, url.search);
+      for (const [name, value] of Object.entries(corsHeaders)) response.headers.set(name, value);
+      return response;
+    }
+
+    return new Response('Not found', { status: 404, headers: corsHeaders });
   },
 };